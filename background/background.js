@@ -1,35 +1,175 @@
-const SYSTEM_PROMPT = `You are a tab organization assistant. Analyze browser tabs and group them into logical categories.
+const NAMING_STYLES = {
+  short: 'Group names must be short (1-3 words), title-case, and immediately understandable (e.g., "Work Email", "YouTube", "Shopping", "GitHub").',
+  descriptive: 'Group names must be descriptive phrases of 2-5 words that say what the tabs are for (e.g., "Quarterly Budget Review", "Lisbon Trip Planning").',
+  project: 'Name groups after the project, task or goal the tabs serve rather than the website (e.g., "Website Redesign", "Tax Return", "Job Applications"). Keep names to 1-4 words.',
+};
 
-Rules:
-1. Every tab must be assigned to exactly one group. No tab may be left ungrouped.
-2. Create between 2 and 8 groups. Merge similar topics rather than creating many small groups.
-3. Group names must be short (1-3 words), title-case, and immediately understandable (e.g., "Work Email", "YouTube", "Shopping", "GitHub").
-4. If only 1-3 tabs exist, use 1-2 groups.
-5. Base grouping on semantic meaning, not just domain. Two Stack Overflow tabs about different projects may belong in different groups.
-6. Use only these colors: blue, cyan, grey, green, orange, pink, purple, red, yellow. Assign different colors to each group.
+const DEFAULT_PROMPT_SETTINGS = { minGroups: 2, maxGroups: 8, namingStyle: "short", emoji: false, language: "" };
 
-Respond ONLY with valid JSON matching this schema. No prose, no markdown fences, no explanation.
+// The response format is always appended, even to a user's own prompt, so answers stay parseable
+const RESPONSE_FORMAT = `Respond ONLY with valid JSON matching this schema. No prose, no markdown fences, no explanation.
 
 {
   "groups": [
     {
-      "name": "string (1-3 words, title-case)",
+      "name": "string",
       "color": "blue|cyan|grey|green|orange|pink|purple|red|yellow",
-      "tabIds": [integer tab IDs from the input]
+      "tabIds": [integer tab IDs from the input],
+      "groupId": null
     }
   ]
 }`;
 
+const INCREMENTAL_PROMPT = `
+
+Some tabs are already organized into existing groups, listed in the input with their groupId, name, color and member tab titles.
+- Only the tabs under "Ungrouped tabs" need a group. Do not list member tabs of existing groups.
+- Prefer adding tabs to an existing group when the topic fits. To do so, set "groupId" to that group's integer groupId and repeat its name and color unchanged.
+- Create a new group (with "groupId": null) only when no existing group fits. The group count limit applies to new groups only.`;
+
+const GROUP_COLORS = ["blue", "cyan", "grey", "green", "orange", "pink", "purple", "red", "yellow"];
+
+// JSON Schema for the model's answer, passed to each provider's structured-output mode
+const GROUP_SCHEMA = {
+  type: "object",
+  properties: {
+    groups: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          color: { type: "string", enum: GROUP_COLORS },
+          tabIds: { type: "array", items: { type: "integer" } },
+          groupId: { type: ["integer", "null"] },
+        },
+        required: ["name", "color", "tabIds", "groupId"],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ["groups"],
+  additionalProperties: false,
+};
+
+const BATCH_PROMPT = `
+
+Tabs are sent in batches. Groups created for earlier batches are listed under "Groups so far". Reuse those exact names and colors when a tab fits one of them, and only create new groups for new topics. The group count limit counts groups across all batches.`;
+
+// Rough per-request input budget in tokens; local servers often run with small contexts
+const BATCH_INPUT_TOKENS = { ollama: 2000, compat: 3000, default: 8000 };
+// Keeps each answer well inside max_tokens
+const BATCH_MAX_TABS = 60;
+
+const AUTO_ASSIGN_PROMPT = `You sort a newly opened browser tab into one of the user's existing tab groups.
+
+You get the existing groups (groupId, name and some member tab titles) and the new tab (title and URL).
+Pick the single group whose topic clearly fits the new tab. If no group is a clear fit, answer null. Do not guess.
+
+Respond ONLY with valid JSON: {"groupId": integer groupId or null}`;
+
+const ASSIGN_SCHEMA = {
+  type: "object",
+  properties: { groupId: { type: ["integer", "null"] } },
+  required: ["groupId"],
+  additionalProperties: false,
+};
+
+// Wait for a new tab's title and URL to settle before classifying it
+const AUTO_ASSIGN_DELAY_MS = 2000;
+
+const AUTO_ORGANIZE_ALARM = "autoOrganize";
+// Threshold-triggered runs: wait for tab creation to calm down, and never run more often than this
+const THRESHOLD_CHECK_DELAY_MS = 5000;
+const THRESHOLD_MIN_GAP_MS = 5 * 60_000;
+
+// How long the review shortcut's request to analyze waits for the popup to pick it up
+const ANALYZE_ON_OPEN_TIMEOUT_MS = 5000;
+
+// Query parameters that only track the visit; ignored when comparing URLs for duplicates
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|yclid|mc_cid|mc_eid|igshid|_hsenc|_hsmi|ref_src|ref_url|si)$/i;
+const DEFAULT_STALE_DAYS = 7;
+
+// Estimated USD per million tokens, for the models offered in settings; editable there
+const DEFAULT_PRICES = {
+  "claude-haiku-4-5-20251001": { input: 1, output: 5 },
+  "claude-sonnet-4-5-20250929": { input: 3, output: 15 },
+  "claude-opus-4-6": { input: 5, output: 25 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "o3-mini": { input: 1.1, output: 4.4 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+};
+const USAGE_HISTORY_LIMIT = 1000;
+
+// Passphrase-encrypted API keys
+const VAULT_KEY_NAMES = ["apiKey_claude", "apiKey_openai", "apiKey_gemini", "apiKey_compat"];
+const PBKDF2_ITERATIONS = 600_000;
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+// Seconds before a request is given up; settings can change it per provider
+const DEFAULT_TIMEOUT_SECONDS = { ollama: 120, compat: 120, default: 60 };
+
+// Streamed group previews are sent at most this often unless a new group is complete
+const STREAM_PROGRESS_INTERVAL_MS = 250;
+
+// Retries after 429, 5xx and network errors, then the fallback providers
+const RETRY_ATTEMPTS_PER_PROVIDER = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30_000;
+
 const DEFAULT_COOLDOWN_MS = 10_000;
 const IS_ZEN = navigator.userAgent.includes("Zen/");
 
-let pendingGroups = null;
-let pendingTimestamp = null;
+// Results waiting for review: { groups, cleanup, timestamp, scope, windowId, tabIds }, where
+// tabIds are all the tabs the analysis saw. Kept in session storage so an extension reload keeps
+// them; a browser restart drops them, as tab ids are reused after one.
+let pending = null;
+const pendingLoaded = loadPending();
+let lastSnapshot = null; // per-window layouts captured before the last apply, for undo
+let analysisController = null; // aborts the analysis in progress
+let usageWrites = Promise.resolve(); // usage history updates, one at a time
+
+const autoAssignWindows = new Set(); // windows where new tabs join existing groups
+const autoAssignTimers = new Map(); // tabId -> debounce timer
+const autoAssignChecked = new Map(); // tabId -> last URL classified, to avoid repeat requests
+
+let autoOrganizeRunning = false;
+let lastAutoOrganizeTime = 0;
+const thresholdTimers = new Map(); // windowId -> debounce timer
+
+let vaultKey = null; // AES key derived from the passphrase, while unlocked
+let unlockedKeys = null; // decrypted API keys, kept in memory only
+let autoLockTimer = null;
+
+let shortcutRunning = false;
+let analyzeOnOpen = false; // set by the review shortcut, consumed by the popup
+let analyzeOnOpenTimer = null;
 
 const handlers = {
   analyzeTabs: handleAnalyzeTabs,
+  previewPayload: handlePreviewPayload,
   applyGroups: handleApplyGroups,
+  cancelAnalysis: handleCancelAnalysis,
+  listModels: handleListModels,
+  testConnection: handleTestConnection,
   getPendingGroups: handleGetPendingGroups,
+  classifyNewTabs: handleClassifyNewTabs,
+  undoApply: handleUndoApply,
+  getDefaultPrompt: handleGetDefaultPrompt,
+  saveWorkspace: handleSaveWorkspace,
+  restoreWorkspace: handleRestoreWorkspace,
+  getUsage: handleGetUsage,
+  getKeyStatus: handleGetKeyStatus,
+  unlockKeys: handleUnlockKeys,
+  lockKeys: handleLockKeys,
+  enableKeyEncryption: handleEnableKeyEncryption,
+  disableKeyEncryption: handleDisableKeyEncryption,
+  storeEncryptedKeys: handleStoreEncryptedKeys,
+  getAutoAssign: handleGetAutoAssign,
+  setAutoAssign: handleSetAutoAssign,
 };
 
 browser.runtime.onMessage.addListener((message, _sender, sendResponse) => {
@@ -40,34 +180,87 @@ browser.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   }
   handler(message)
     .then(sendResponse)
-    .catch((err) => sendResponse({ ok: false, error: err.message }));
+    // `code` lets the popup react to specific failures, such as locked API keys
+    .catch((err) => sendResponse({ ok: false, error: err.message, code: err.code }));
   return true; // keep message channel open for async response
 });
 
-async function handleAnalyzeTabs() {
-  const settings = await browser.storage.local.get([
-    "provider", "cooldown", "lastAnalysisTime", "ollamaUrl",
-    "model_claude", "model_openai", "model_gemini", "model_ollama",
-    "apiKey_claude", "apiKey_openai", "apiKey_gemini",
-    // Legacy fallback
-    "apiKey", "model",
-  ]);
+// The controller is registered before any work, so Cancel also stops a run still preparing its
+// tabs. Background runs bring their own controller, so the popup's Cancel doesn't reach them.
+async function handleAnalyzeTabs(options = {}) {
+  const { controller = new AbortController() } = options;
+  if (!options.controller) analysisController = controller;
+  try {
+    return await runAnalysis(options, controller.signal);
+  } finally {
+    if (analysisController === controller) analysisController = null;
+  }
+}
 
-  const provider = settings.provider || "claude";
+async function runAnalysis(options, signal) {
+  const { settings, scopeTabs, tabs, existingGroups, ruleGroups, tabData, excludedIds } =
+    await prepareAnalysis(options);
+  if (signal.aborted) throw cancelledError();
+  const { provider } = settings;
+  const { scope = "window" } = options;
 
-  // Resolve per-provider API key and model
-  const providerKeyMap = { claude: "apiKey_claude", openai: "apiKey_openai", gemini: "apiKey_gemini" };
-  settings.apiKey = settings[providerKeyMap[provider]] || settings.apiKey || "";
-  settings.model = settings["model_" + provider] || settings.model || "";
+  let aiGroups = [];
+  let answeredBy = null;
+  const usage = { input: 0, output: 0, model: settings.model };
+  if (tabData.length > 0) {
+    // Rate limiting (the local provider makes no requests)
+    if (provider !== "local") await checkCooldown(settings);
 
-  // Validate config
-  if (provider === "ollama") {
-    if (!settings.ollamaUrl) throw new Error("No Ollama URL configured. Open extension settings.");
-  } else {
-    if (!settings.apiKey) throw new Error("No API key configured. Open extension settings.");
+    if (provider === "local") {
+      aiGroups = groupTabsLocally(tabData, { maxGroups: settings.promptMaxGroups }).groups;
+    } else {
+      try {
+        ({ groups: aiGroups, answeredBy } =
+          await requestGroupsWithFallback(settings, tabData, { existingGroups, usage, signal }));
+      } catch (err) {
+        // Runs that were cancelled or never got an answer don't count against the cooldown
+        if (err.code === "cancelled" || err.code === "timeout") {
+          await browser.storage.local.set({ lastAnalysisTime: settings.lastAnalysisTime || 0 });
+        }
+        throw err;
+      }
+    }
+  }
+
+  // Tabs excluded by the privacy settings are left where they are
+  const excluded = new Set(excludedIds);
+  const groups = validateGroups(
+    mergeGroupsByName([...ruleGroups, ...aiGroups]),
+    tabs.map((t) => t.id).filter((id) => !excluded.has(id)),
+    existingGroups
+  );
+  if (groups.length === 0) throw new Error("All tabs are excluded by your privacy settings.");
+
+  // Attach tab titles so popup can display them
+  const tabMap = Object.fromEntries(tabs.map((t) => [t.id, { title: t.title, url: t.url, favIconUrl: t.favIconUrl }]));
+  for (const group of groups) {
+    group.tabs = group.tabIds.map((id) => ({ id, ...tabMap[id] }));
   }
 
-  // Rate limiting
+  const cleanup = findCleanupCandidates(scopeTabs, settings.staleTabDays ?? DEFAULT_STALE_DAYS);
+
+  const windowId = scope === "all" ? null : scopeTabs[0].windowId;
+  await setPending({
+    groups, cleanup, timestamp: Date.now(), scope, windowId, tabIds: scopeTabs.map((t) => t.id),
+  });
+
+  const runUsage = !answeredBy || usage.input + usage.output === 0
+    ? null
+    : {
+      input: usage.input,
+      output: usage.output,
+      cost: estimateCost(answeredBy.provider, usage.model, usage, await loadPriceTable()),
+    };
+
+  return { ok: true, groups, cleanup, scope, windowId, usage: runUsage, answeredBy };
+}
+
+async function checkCooldown(settings) {
   const cooldown = settings.cooldown || DEFAULT_COOLDOWN_MS;
   const now = Date.now();
   if (settings.lastAnalysisTime && (now - settings.lastAnalysisTime) < cooldown) {
@@ -75,59 +268,489 @@ async function handleAnalyzeTabs() {
     throw new Error(`Please wait ${wait}s before analyzing again.`);
   }
   await browser.storage.local.set({ lastAnalysisTime: now });
+}
+
+async function handleCancelAnalysis() {
+  analysisController?.abort();
+  return { ok: true, cancelled: !!analysisController };
+}
 
-  const tabs = await browser.tabs.query({ currentWindow: true, pinned: false });
-  if (tabs.length === 0) throw new Error("No tabs to organize.");
+// Everything up to the model request, shared by analysis and the payload preview
+async function prepareAnalysis({ incremental = false, scope = "window", windowId } = {}) {
+  const settings = await loadProviderSettings();
 
-  const tabData = tabs.map((t) => ({ id: t.id, title: t.title, url: t.url }));
-  const apiResponse = await callAPI(provider, settings, tabData);
-  const text = extractText(provider, apiResponse);
-  const groups = parseAndValidateGroups(
-    text,
-    tabs.map((t) => t.id)
-  );
+  const scopeTabs = await queryScopeTabs(scope, { pinned: false }, windowId);
+  if (scopeTabs.length === 0) throw new Error("No tabs to organize.");
 
-  // Attach tab titles so popup can display them
-  const tabMap = Object.fromEntries(tabs.map((t) => [t.id, { title: t.title, url: t.url, favIconUrl: t.favIconUrl }]));
-  for (const group of groups) {
-    group.tabs = group.tabIds.map((id) => ({ id, ...tabMap[id] }));
+  let tabs = scopeTabs;
+  let existingGroups = [];
+  if (incremental) {
+    if (IS_ZEN || !browser.tabGroups?.query) {
+      throw new Error("Organizing new tabs only requires native tab groups.");
+    }
+    existingGroups = await describeExistingGroups(scopeTabs.filter((t) => !isExcludedTab(t, settings)));
+    tabs = scopeTabs.filter((t) => (t.groupId ?? -1) === -1);
+    if (tabs.length === 0) throw new Error("No ungrouped tabs to organize.");
+  }
+
+  // User rules place matching tabs without asking the model
+  const { ruleGroups, unmatched } = applyGroupingRules(tabs, settings.groupingRules || [], existingGroups);
+
+  // Nothing leaves the browser with the local provider, so it sees the real URLs
+  const { tabData, excludedIds } = settings.provider === "local"
+    ? { tabData: unmatched.map((t) => ({ id: t.id, title: t.title, url: t.url })), excludedIds: [] }
+    : await redactTabs(unmatched, settings);
+
+  return { settings, scopeTabs, tabs, existingGroups, ruleGroups, tabData, excludedIds };
+}
+
+// The exact request bodies an analysis would send, without sending them
+async function handlePreviewPayload(options = {}) {
+  const { settings, existingGroups, tabData, excludedIds } = await prepareAnalysis(options);
+  const { provider } = settings;
+  if (provider === "local" || tabData.length === 0) {
+    return { ok: true, provider, requests: [], excludedCount: excludedIds.length };
   }
 
-  pendingGroups = groups;
-  pendingTimestamp = Date.now();
+  const batches = splitIntoBatches(tabData, BATCH_INPUT_TOKENS[provider] || BATCH_INPUT_TOKENS.default);
+  const system = buildBatchSystemPrompt(settings, existingGroups, batches.length);
+  const requests = batches.map((batch, i) => {
+    const user = buildBatchUserPrompt(batch, i, batches.length, existingGroups, []);
+    const { url, body } = buildAPIRequest(provider, settings, { system, user, stream: true });
+    return { url, body };
+  });
+  return { ok: true, provider, requests, excludedCount: excludedIds.length };
+}
+
+// `provider` and `overrides` let the settings page test values it hasn't saved yet
+async function loadProviderSettings({ provider: providerOverride, overrides = {}, modelOptional = false } = {}) {
+  const settings = await browser.storage.local.get([
+    "provider", "cooldown", "lastAnalysisTime", "ollamaUrl", "compatUrl", "compatHeaders",
+    "model_claude", "model_openai", "model_gemini", "model_ollama", "model_compat",
+    "timeout_claude", "timeout_openai", "timeout_gemini", "timeout_ollama", "timeout_compat",
+    "apiKey_claude", "apiKey_openai", "apiKey_gemini", "apiKey_compat",
+    "groupingRules",
+    "promptMinGroups", "promptMaxGroups", "promptNamingStyle", "promptEmoji", "promptLanguage",
+    "promptExtra", "promptOverride",
+    "urlRedaction", "internalDomains", "internalDomainAction", "staleTabDays",
+    "keyVault", "autoLockMinutes", "fallbackProviders",
+    // Legacy fallback
+    "apiKey", "model",
+  ]);
+  const provider = providerOverride || settings.provider || "claude";
+  const keyName = `apiKey_${provider}`;
+  if (settings.keyVault?.keys.includes(keyName) && !unlockedKeys && !overrides[keyName]) {
+    throw Object.assign(new Error("Your API keys are locked. Enter your passphrase to unlock them."), { code: "locked" });
+  }
+  if (unlockedKeys) {
+    Object.assign(settings, unlockedKeys);
+    scheduleAutoLock(settings.autoLockMinutes);
+  }
+  Object.assign(settings, overrides);
+  const resolved = resolveProviderSettings(settings, provider, { modelOptional });
+  resolved.fallbacks = resolveFallbacks(settings, resolved);
+  return resolved;
+}
 
-  return { ok: true, groups };
+// Settings for each configured fallback. Fallbacks that aren't set up (or whose keys are
+// locked) are skipped; an empty model means the provider's saved one.
+function resolveFallbacks(settings, primary) {
+  const chain = [primary];
+  for (const { provider, model } of settings.fallbackProviders || []) {
+    try {
+      const resolved = resolveProviderSettings(settings, provider);
+      if (model) resolved.model = model;
+      if (!chain.some((s) => s.provider === resolved.provider && s.model === resolved.model)) chain.push(resolved);
+    } catch (err) {
+      console.warn(`Skipping fallback provider ${provider}:`, err.message);
+    }
+  }
+  return chain.slice(1);
 }
 
-async function handleApplyGroups({ groups }) {
-  const currentTabs = await browser.tabs.query({ currentWindow: true });
-  if (currentTabs.length === 0) throw new Error("No open tabs found.");
-  const validTabIds = new Set(currentTabs.map((t) => t.id));
-  const windowId = currentTabs[0].windowId;
+// Settings with the API key and model resolved for one provider
+function resolveProviderSettings(settings, provider, { modelOptional = false } = {}) {
+  const providerKeyMap = {
+    claude: "apiKey_claude", openai: "apiKey_openai", gemini: "apiKey_gemini", compat: "apiKey_compat",
+  };
+  const resolved = {
+    ...settings,
+    provider,
+    apiKey: settings[providerKeyMap[provider]] || (provider !== "compat" && settings.apiKey) || "",
+    model: settings["model_" + provider] || settings.model || "",
+    // 0 turns the timeout off
+    timeout: settings["timeout_" + provider] ?? DEFAULT_TIMEOUT_SECONDS[provider] ?? DEFAULT_TIMEOUT_SECONDS.default,
+  };
 
-  let result;
-  if (IS_ZEN) {
-    result = await applyGroupsBySort(groups, validTabIds);
-  } else {
-    result = await applyGroupsByNative(groups, validTabIds, windowId);
+  // Validate config
+  if (provider === "ollama") {
+    if (!resolved.ollamaUrl) throw new Error("No Ollama URL configured. Open extension settings.");
+  } else if (provider === "compat") {
+    if (!resolved.compatUrl) throw new Error("No server URL configured. Open extension settings.");
+    if (!resolved.model && !modelOptional) throw new Error("No model name configured. Open extension settings.");
+  } else if (provider !== "local") {
+    if (!resolved.apiKey) throw new Error("No API key configured. Open extension settings.");
   }
+  return resolved;
+}
 
-  pendingGroups = null;
-  pendingTimestamp = null;
-  return result;
+// --- System prompt ---
+
+// Rules part of the prompt: the user's override, or the default built from their settings
+function buildPromptRules(options = {}) {
+  const defaults = DEFAULT_PROMPT_SETTINGS;
+  const minGroups = options.minGroups || defaults.minGroups;
+  const maxGroups = options.maxGroups || defaults.maxGroups;
+  const namingStyle = options.namingStyle || defaults.namingStyle;
+  const emoji = options.emoji ?? defaults.emoji;
+  const language = options.language || defaults.language;
+  const rules = [
+    "Every tab must be assigned to exactly one group. No tab may be left ungrouped.",
+    `Create between ${minGroups} and ${maxGroups} groups. Merge similar topics rather than creating many small groups.`,
+    NAMING_STYLES[namingStyle] || NAMING_STYLES.short,
+  ];
+  if (emoji) rules.push('Start every group name with one fitting emoji and a space (e.g., "\u{1F4E7} Work Email").');
+  if (language) rules.push(`Write group names in ${language}.`);
+  rules.push(
+    `If only 1-3 tabs exist, use 1-${Math.min(2, maxGroups)} groups.`,
+    "Base grouping on semantic meaning, not just domain. Two Stack Overflow tabs about different projects may belong in different groups.",
+    "Use only these colors: blue, cyan, grey, green, orange, pink, purple, red, yellow. Assign different colors to each group.",
+  );
+  return "You are a tab organization assistant. Analyze browser tabs and group them into logical categories.\n\n" +
+    `Rules:\n${rules.map((rule, i) => `${i + 1}. ${rule}`).join("\n")}`;
+}
+
+function buildSystemPrompt(settings) {
+  let prompt = settings.promptOverride?.trim() || buildPromptRules({
+    minGroups: settings.promptMinGroups,
+    maxGroups: settings.promptMaxGroups,
+    namingStyle: settings.promptNamingStyle,
+    emoji: settings.promptEmoji,
+    language: settings.promptLanguage?.trim(),
+  });
+  const extra = settings.promptExtra?.trim();
+  if (extra) prompt += `\n\nAdditional instructions from the user:\n${extra}`;
+  return `${prompt}\n\n${RESPONSE_FORMAT}`;
+}
+
+// Default rules for the given settings, shown in the options page as a starting point for an override
+async function handleGetDefaultPrompt({ options } = {}) {
+  return { ok: true, prompt: buildPromptRules(options) };
+}
+
+// Tabs in one window (the current one unless given), or in every normal window for the "all" scope
+function queryScopeTabs(scope, filter = {}, windowId) {
+  if (scope === "all") return browser.tabs.query({ ...filter, windowType: "normal" });
+  return windowId != null
+    ? browser.tabs.query({ ...filter, windowId })
+    : browser.tabs.query({ ...filter, currentWindow: true });
+}
+
+// Existing native groups in the scanned windows, as context for the model
+async function describeExistingGroups(scopeTabs) {
+  const windowIds = new Set(scopeTabs.map((t) => t.windowId));
+  const groups = (await browser.tabGroups.query({})).filter((g) => windowIds.has(g.windowId));
+  return groups.map((g) => ({
+    groupId: g.id,
+    name: g.title || "Untitled",
+    color: g.color,
+    tabs: scopeTabs.filter((t) => t.groupId === g.id).slice(0, 10).map((t) => t.title),
+  }));
+}
+
+async function handleApplyGroups({ groups, scope = "window", windowId, target = "groups", gather = false, cleanup = [] }) {
+  const strategy = APPLY_TARGETS[target];
+  if (!strategy) throw new Error(`Unknown apply target: ${target}`);
+  if (target === "bookmarks" && !browser.bookmarks?.create) {
+    throw new Error("Saving to bookmarks needs the bookmarks permission. Turn on bookmark folders in settings.");
+  }
+
+  const scopeTabs = await queryScopeTabs(scope, {}, windowId);
+  if (scopeTabs.length === 0) throw new Error("No open tabs found.");
+  const windowIds = [...new Set(scopeTabs.map((t) => t.windowId))];
+
+  const snapshot = strategy.canUndo ? await Promise.all(windowIds.map(snapshotWindow)) : null;
+
+  // Housekeeping picked in the review goes first, so closed tabs drop out of the groups
+  const cleaned = await applyCleanup(cleanup, new Set(scopeTabs.map((t) => t.id)));
+
+  if (target === "groups" && gather && windowIds.length > 1) await gatherGroupsIntoWindows(groups, scopeTabs);
+
+  const liveTabs = await queryScopeTabs(scope, {}, windowId);
+  const applied = await strategy.apply(groups, liveTabs);
+  if (applied === 0 && cleaned.closed + cleaned.discarded === 0) {
+    throw new Error("No groups could be applied. Try re-analyzing.");
+  }
+
+  lastSnapshot = snapshot;
+  await setPending(null);
+  setBadge("");
+  return {
+    ok: true,
+    target,
+    sortedOnly: target === "sort" || (target === "groups" && IS_ZEN),
+    canUndo: strategy.canUndo,
+    ...cleaned,
+  };
 }
 
 async function handleGetPendingGroups() {
-  return { ok: true, groups: pendingGroups, timestamp: pendingTimestamp };
+  // Opening the popup counts as seeing the review badge
+  setBadge("");
+  const analyze = analyzeOnOpen;
+  analyzeOnOpen = false;
+  await pendingLoaded;
+  const results = pending && await reconcilePending(pending);
+  return { ok: true, analyzeOnOpen: analyze, canUndo: !!lastSnapshot, groups: null, ...results };
+}
+
+// --- Pending results ---
+
+async function loadPending() {
+  const { pendingResults } = await browser.storage.session.get("pendingResults");
+  // An analysis may have finished in the meantime
+  pending ??= pendingResults || null;
+}
+
+async function setPending(results) {
+  pending = results;
+  if (results) await browser.storage.session.set({ pendingResults: results });
+  else await browser.storage.session.remove("pendingResults");
+}
+
+// Tabs may have changed since the analysis: closed ones are marked (and left out when applying),
+// new ungrouped ones are listed apart. Results whose tabs are all gone are dropped.
+async function reconcilePending({ groups, cleanup, timestamp, scope, windowId, tabIds }) {
+  const liveTabs = await queryScopeTabs(scope, { pinned: false }, windowId ?? undefined).catch(() => []);
+  const live = new Map(liveTabs.map((t) => [t.id, t]));
+  if (!tabIds.some((id) => live.has(id))) {
+    await setPending(null);
+    setBadge("");
+    return null;
+  }
+
+  const reconciled = groups.map((group) => {
+    const tabs = group.tabs.map((tab) => live.has(tab.id)
+      ? { ...tab, title: live.get(tab.id).title }
+      : { ...tab, closed: true, excluded: true });
+    return { ...group, tabs, tabIds: tabs.filter((t) => !t.excluded).map((t) => t.id) };
+  });
+  const analyzed = new Set(tabIds);
+  const unassigned = liveTabs
+    .filter((t) => !analyzed.has(t.id) && (t.groupId ?? -1) === -1)
+    .map((t) => ({ id: t.id, title: t.title, url: t.url, favIconUrl: t.favIconUrl }));
+
+  return {
+    groups: reconciled,
+    cleanup: cleanup.filter((item) => live.has(item.id)),
+    timestamp,
+    scope,
+    windowId,
+    unassigned,
+  };
+}
+
+// Sorts tabs opened since the analysis into the groups under review (as edited in the popup),
+// adding new groups only for new topics
+async function handleClassifyNewTabs({ tabIds, groups }) {
+  if (!pending) throw new Error("The analysis results are gone. Analyze again.");
+  const settings = await loadProviderSettings();
+  const tabs = (await Promise.all(tabIds.map((id) => browser.tabs.get(id).catch(() => null)))).filter(Boolean);
+  if (tabs.length === 0) throw new Error("Those tabs have been closed.");
+
+  const { ruleGroups, unmatched } = applyGroupingRules(tabs, settings.groupingRules || []);
+  const { tabData, excludedIds } = settings.provider === "local"
+    ? { tabData: unmatched.map((t) => ({ id: t.id, title: t.title, url: t.url })), excludedIds: [] }
+    : await redactTabs(unmatched, settings);
+
+  let aiGroups = [];
+  if (tabData.length > 0) {
+    if (settings.provider === "local") {
+      aiGroups = groupTabsLocally(tabData, { maxGroups: settings.promptMaxGroups }).groups;
+    } else {
+      await checkCooldown(settings);
+      const usage = { input: 0, output: 0, model: settings.model };
+      const knownGroups = groups.map((g) => ({ name: g.name, color: g.color }));
+      ({ groups: aiGroups } = await requestGroupsWithFallback(settings, tabData, { knownGroups, usage }));
+    }
+  }
+
+  const excluded = new Set(excludedIds);
+  const added = validateGroups(
+    mergeGroupsByName([...ruleGroups, ...aiGroups]),
+    tabs.map((t) => t.id).filter((id) => !excluded.has(id))
+  );
+
+  // Join groups of the same name, keeping the edits made in the popup
+  const tabMap = new Map(tabs.map((t) => [t.id, { id: t.id, title: t.title, url: t.url, favIconUrl: t.favIconUrl }]));
+  const merged = groups.map((g) => ({ ...g, tabs: [...(g.tabs || [])], tabIds: [...g.tabIds] }));
+  for (const group of added) {
+    const newTabs = group.tabIds.map((id) => tabMap.get(id));
+    const target = merged.find((g) => g.name.trim().toLowerCase() === group.name.trim().toLowerCase());
+    if (target) {
+      target.tabs.push(...newTabs);
+      target.tabIds.push(...group.tabIds);
+    } else {
+      merged.push({ ...group, tabs: newTabs });
+    }
+  }
+
+  await setPending({ ...pending, groups: merged, tabIds: [...pending.tabIds, ...tabs.map((t) => t.id)] });
+  return { ok: true, groups: merged };
+}
+
+async function handleUndoApply() {
+  if (!lastSnapshot) throw new Error("Nothing to undo.");
+  await restoreSnapshot(lastSnapshot);
+  lastSnapshot = null;
+  return { ok: true };
+}
+
+// Move each group's tabs into one window: the window of the existing group it extends,
+// otherwise the window already holding most of its tabs
+async function gatherGroupsIntoWindows(groups, scopeTabs) {
+  const tabById = new Map(scopeTabs.map((t) => [t.id, t]));
+  const existingWindows = new Map(
+    browser.tabGroups?.query ? (await browser.tabGroups.query({})).map((g) => [g.id, g.windowId]) : []
+  );
+
+  for (const group of groups) {
+    const members = group.tabIds.map((id) => tabById.get(id)).filter(Boolean);
+    if (members.length === 0) continue;
+
+    let targetWindowId = existingWindows.get(group.existingGroupId);
+    if (targetWindowId == null) {
+      const counts = new Map();
+      for (const tab of members) counts.set(tab.windowId, (counts.get(tab.windowId) || 0) + 1);
+      [targetWindowId] = [...counts].sort((a, b) => b[1] - a[1])[0];
+    }
+
+    const toMove = members.filter((t) => t.windowId !== targetWindowId).map((t) => t.id);
+    if (toMove.length === 0) continue;
+    try {
+      await browser.tabs.move(toMove, { windowId: targetWindowId, index: -1 });
+    } catch (err) {
+      console.warn(`Failed to gather tabs for "${group.name}":`, err);
+    }
+  }
+}
+
+async function snapshotWindow(windowId) {
+  const tabs = await browser.tabs.query({ windowId, pinned: false });
+  const groups = browser.tabGroups?.query ? await browser.tabGroups.query({ windowId }) : [];
+  return {
+    windowId,
+    tabs: tabs
+      .sort((a, b) => a.index - b.index)
+      .map((t) => ({ id: t.id, index: t.index, groupId: t.groupId ?? -1 })),
+    groups: groups.map((g) => ({ id: g.id, title: g.title, color: g.color, collapsed: g.collapsed })),
+  };
+}
+
+async function restoreSnapshot(snapshots) {
+  // Tabs gathered into other windows go back to their original window first. A window
+  // emptied by the apply (such as one group per window) has closed, so it is reopened.
+  const liveTabs = await browser.tabs.query({});
+  const liveById = new Map(liveTabs.map((t) => [t.id, t]));
+  const liveWindowIds = new Set(liveTabs.map((t) => t.windowId));
+  const restorable = [];
+  for (const snapshot of snapshots) {
+    let { windowId } = snapshot;
+    const strays = snapshot.tabs
+      .filter((t) => liveById.has(t.id) && liveById.get(t.id).windowId !== windowId)
+      .map((t) => t.id);
+    if (!liveWindowIds.has(windowId)) {
+      if (strays.length === 0) continue;
+      windowId = (await browser.windows.create({ tabId: strays.shift() })).id;
+    }
+    if (strays.length > 0) await browser.tabs.move(strays, { windowId, index: -1 });
+    restorable.push({ ...snapshot, windowId });
+  }
+
+  let restored = 0;
+  for (const snapshot of restorable) restored += await restoreWindow(snapshot);
+  if (restored === 0) throw new Error("None of the original tabs are still open.");
+}
+
+async function restoreWindow(snapshot) {
+  const { windowId } = snapshot;
+  const liveTabs = await browser.tabs.query({ windowId });
+  const liveById = new Map(liveTabs.map((t) => [t.id, t]));
+  const pinnedCount = liveTabs.filter((t) => t.pinned).length;
+
+  // Tabs closed (or pinned) since the snapshot are skipped
+  const survivors = snapshot.tabs.filter((t) => liveById.get(t.id)?.pinned === false);
+  if (survivors.length === 0) return 0;
+
+  // Dissolve groups created by the apply. Tabs opened since the snapshot stay in
+  // groups that existed before it, and are otherwise left ungrouped at the end.
+  if (browser.tabs.ungroup) {
+    const snapshotGroupIds = new Set(snapshot.groups.map((g) => g.id));
+    const survivorIds = new Set(survivors.map((t) => t.id));
+    const toUngroup = liveTabs
+      .filter((t) => !t.pinned && (t.groupId ?? -1) !== -1)
+      .filter((t) => survivorIds.has(t.id) || !snapshotGroupIds.has(t.groupId))
+      .map((t) => t.id);
+    if (toUngroup.length > 0) await browser.tabs.ungroup(toUngroup);
+  }
+
+  await browser.tabs.move(survivors.map((t) => t.id), { index: pinnedCount });
+
+  if (!browser.tabs.group) return survivors.length;
+
+  const liveGroupIds = new Set(
+    browser.tabGroups?.query ? (await browser.tabGroups.query({ windowId })).map((g) => g.id) : []
+  );
+  for (const group of snapshot.groups) {
+    const tabIds = survivors.filter((t) => t.groupId === group.id).map((t) => t.id);
+    if (tabIds.length === 0) continue;
+
+    try {
+      let groupId;
+      if (liveGroupIds.has(group.id)) {
+        groupId = await browser.tabs.group({ groupId: group.id, tabIds });
+      } else {
+        groupId = await browser.tabs.group({ tabIds, createProperties: { windowId } });
+      }
+      if (browser.tabGroups?.update) {
+        await browser.tabGroups.update(groupId, {
+          title: group.title,
+          color: group.color,
+          collapsed: group.collapsed,
+        });
+      }
+    } catch (err) {
+      console.warn(`Failed to restore group "${group.title}":`, err);
+    }
+  }
+
+  // Moving a tab into a group's range can pull it into that group
+  const ungroupedIds = new Set(survivors.filter((t) => t.groupId === -1).map((t) => t.id));
+  const strays = (await browser.tabs.query({ windowId, pinned: false }))
+    .filter((t) => ungroupedIds.has(t.id) && (t.groupId ?? -1) !== -1)
+    .map((t) => t.id);
+  if (strays.length > 0 && browser.tabs.ungroup) await browser.tabs.ungroup(strays);
+  return survivors.length;
 }
 
 async function applyGroupsByNative(groups, validTabIds, windowId) {
+  const liveGroupIds = new Set(
+    browser.tabGroups?.query ? (await browser.tabGroups.query({ windowId })).map((g) => g.id) : []
+  );
+
   let applied = 0;
   for (const group of groups) {
     const validIds = group.tabIds.filter((id) => validTabIds.has(id));
     if (validIds.length === 0) continue;
 
     try {
+      // Add to the existing group if it is still there, otherwise create it
+      if (liveGroupIds.has(group.existingGroupId)) {
+        await browser.tabs.group({ groupId: group.existingGroupId, tabIds: validIds });
+        applied++;
+        continue;
+      }
+
       const groupId = await browser.tabs.group({
         tabIds: validIds,
         createProperties: { windowId },
@@ -145,146 +768,461 @@ async function applyGroupsByNative(groups, validTabIds, windowId) {
     }
   }
 
-  if (applied === 0) throw new Error("No groups could be applied. Try re-analyzing.");
-  return { ok: true };
+  return applied;
 }
 
-async function applyGroupsBySort(groups, validTabIds) {
+async function applyGroupsBySort(groups, validTabIds, windowId) {
   // Build the desired tab order: groups in sequence, each group's tabs in original order
   const sortedIds = [];
   for (const group of groups) {
     for (const id of group.tabIds) {
-      if (validTabIds.has(id)) sortedIds.push(id);
+      if (validTabIds.has(id) && !sortedIds.includes(id)) sortedIds.push(id);
     }
   }
 
-  if (sortedIds.length === 0) throw new Error("No tabs to sort. Try re-analyzing.");
+  if (sortedIds.length === 0) return 0;
 
   // Fresh query for pinned count to avoid stale data
-  const pinnedTabs = await browser.tabs.query({ currentWindow: true, pinned: true });
-  const pinnedCount = pinnedTabs.length;
+  const pinnedTabs = await browser.tabs.query({ windowId, pinned: true });
 
-  // Move tabs one by one to their target positions
-  for (let i = 0; i < sortedIds.length; i++) {
-    try {
-      await browser.tabs.move(sortedIds[i], { index: pinnedCount + i });
-    } catch (err) {
-      console.warn(`Failed to move tab ${sortedIds[i]}:`, err);
-    }
+  // One batched move keeps the given order and places the first tab right after the pinned ones
+  try {
+    await browser.tabs.move(sortedIds, { windowId, index: pinnedTabs.length });
+  } catch (err) {
+    console.warn("Failed to sort tabs:", err);
+    return 0;
   }
 
-  return { ok: true, sortedOnly: true };
+  return sortedIds.length;
 }
 
-async function callAPI(provider, settings, tabData) {
-  const { model, apiKey, ollamaUrl } = settings;
-  const userMessage = `Organize these tabs:\n${JSON.stringify(tabData, null, 2)}`;
+// Where "Apply" puts the groups. Each target gets the groups and the live tabs in scope and
+// returns how many groups (or sorted tabs) it placed. Zen has no extension API for its
+// workspaces or folders, so native groups fall back to sorting there.
+const APPLY_TARGETS = {
+  groups: {
+    canUndo: true,
+    apply: (groups, tabs) => applyPerWindow(groups, tabs, IS_ZEN ? applyGroupsBySort : applyGroupsByNative),
+  },
+  sort: { canUndo: true, apply: (groups, tabs) => applyPerWindow(groups, tabs, applyGroupsBySort) },
+  windows: { canUndo: true, apply: applyGroupsAsWindows },
+  bookmarks: { canUndo: false, apply: applyGroupsAsBookmarks },
+};
 
-  let url, headers, body;
+// Group (or sort) window by window with the tabs each window holds
+async function applyPerWindow(groups, tabs, applyInWindow) {
+  let applied = 0;
+  for (const windowId of new Set(tabs.map((t) => t.windowId))) {
+    const windowTabIds = new Set(tabs.filter((t) => t.windowId === windowId).map((t) => t.id));
+    applied += await applyInWindow(groups, windowTabIds, windowId);
+  }
+  return applied;
+}
 
-  switch (provider) {
-    case "openai": {
-      url = "https://api.openai.com/v1/chat/completions";
-      headers = {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      };
-      body = {
-        model: model || "gpt-4o-mini",
-        max_tokens: 1024,
-        messages: [
-          { role: "system", content: SYSTEM_PROMPT },
-          { role: "user", content: userMessage },
-        ],
-      };
-      break;
-    }
-    case "gemini": {
-      const m = model || "gemini-2.0-flash";
-      url = `https://generativelanguage.googleapis.com/v1beta/models/${m}:generateContent`;
-      headers = { "Content-Type": "application/json", "x-goog-api-key": apiKey };
-      body = {
-        systemInstruction: { parts: [{ text: SYSTEM_PROMPT }] },
-        contents: [{ role: "user", parts: [{ text: userMessage }] }],
-        generationConfig: { maxOutputTokens: 1024 },
-      };
-      break;
-    }
-    case "ollama": {
-      const rawUrl = ollamaUrl || "http://localhost:11434";
-      let parsedBase;
-      try {
-        parsedBase = new URL(rawUrl);
-      } catch {
-        throw new Error("Invalid Ollama URL in settings.");
-      }
-      if (parsedBase.hostname !== "localhost" && parsedBase.hostname !== "127.0.0.1") {
-        throw new Error("Ollama URL must be localhost.");
+// Opens a new window per group and moves its tabs there, also as a named group where supported
+async function applyGroupsAsWindows(groups, tabs) {
+  const tabById = new Map(tabs.map((t) => [t.id, t]));
+  let applied = 0;
+  for (const group of groups) {
+    const tabIds = group.tabIds.filter((id) => tabById.has(id));
+    if (tabIds.length === 0) continue;
+
+    try {
+      const win = await browser.windows.create({ tabId: tabIds[0] });
+      if (tabIds.length > 1) await browser.tabs.move(tabIds.slice(1), { windowId: win.id, index: -1 });
+      if (!IS_ZEN && browser.tabs.group) {
+        await applyGroupsByNative([{ ...group, existingGroupId: undefined }], new Set(tabIds), win.id);
       }
-      const base = rawUrl.replace(/\/$/, "");
-      url = `${base}/api/chat`;
-      headers = { "Content-Type": "application/json" };
-      body = {
-        model: model || "llama3.2",
-        stream: false,
-        messages: [
-          { role: "system", content: SYSTEM_PROMPT },
-          { role: "user", content: userMessage },
-        ],
-      };
-      break;
-    }
-    case "claude":
-    default: {
-      url = "https://api.anthropic.com/v1/messages";
-      headers = {
-        "Content-Type": "application/json",
-        "x-api-key": apiKey,
-        "anthropic-version": "2023-06-01",
-        "anthropic-dangerous-direct-browser-access": "true",
-      };
-      body = {
-        model: model || "claude-haiku-4-5-20251001",
-        max_tokens: 1024,
-        system: SYSTEM_PROMPT,
-        messages: [{ role: "user", content: userMessage }],
-      };
+      applied++;
+    } catch (err) {
+      console.warn(`Failed to open a window for "${group.name}":`, err);
     }
   }
+  return applied;
+}
 
-  let res;
-  try {
-    res = await fetch(url, {
-      method: "POST",
-      headers,
-      body: JSON.stringify(body),
-    });
-  } catch (fetchErr) {
-    throw new Error(`Network error: ${fetchErr.message}`);
-  }
+// Saves each group as a subfolder of one dated folder, then closes the bookmarked tabs
+async function applyGroupsAsBookmarks(groups, tabs) {
+  const tabById = new Map(tabs.map((t) => [t.id, t]));
+  const stamp = new Date().toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+  const root = await browser.bookmarks.create({ title: `Hayatab ${stamp}` });
 
-  if (!res.ok) {
-    if (res.status === 401) throw new Error("Invalid API key. Check Settings.");
-    if (res.status === 429) throw new Error("Rate limited by provider. Wait a moment and try again.");
-    // Try JSON first (Claude/OpenAI/Gemini), fall back to generic message
-    const errText = await res.text().catch(() => "");
-    let errMsg = `API error (${res.status})`;
-    try {
-      const errJson = JSON.parse(errText);
-      errMsg = errJson.error?.message || errJson.message || errMsg;
-    } catch {
-      // Don't surface raw body - use generic message
+  const saved = [];
+  let applied = 0;
+  for (const group of groups) {
+    const members = group.tabIds.map((id) => tabById.get(id)).filter(Boolean);
+    if (members.length === 0) continue;
+
+    const folder = await browser.bookmarks.create({ parentId: root.id, title: group.name });
+    for (const tab of members) {
+      try {
+        await browser.bookmarks.create({ parentId: folder.id, title: tab.title || tab.url, url: tab.url });
+        saved.push(tab);
+      } catch (err) {
+        // Some pages (about:, file: in some setups) can't be bookmarked; their tabs stay open
+        console.warn(`Failed to bookmark ${tab.url}:`, err);
+      }
     }
-    throw new Error(errMsg);
+    applied++;
   }
+  if (saved.length === 0) return applied;
 
-  return await res.json();
+  // Closing every tab of a window would close the window (or the browser), so leave a blank tab
+  const savedIds = new Set(saved.map((t) => t.id));
+  for (const windowId of new Set(saved.map((t) => t.windowId))) {
+    const windowTabs = await browser.tabs.query({ windowId });
+    if (windowTabs.every((t) => savedIds.has(t.id))) await browser.tabs.create({ windowId, active: true });
+  }
+  await browser.tabs.remove([...savedIds]);
+  return applied;
+}
+
+// Tries each provider in the chain in turn. Retryable errors (429, 5xx, network) are retried
+// with exponential backoff, waiting at least as long as Retry-After asks, before moving on
+// to the next provider, which is tried right away.
+async function requestGroupsWithFallback(settings, tabData, { existingGroups = [], knownGroups = [], usage, signal } = {}) {
+  const chain = [settings, ...(settings.fallbacks || [])];
+  let lastError = null;
+  let attempt = 0;
+  for (const [index, current] of chain.entries()) {
+    for (let retry = 0; retry < RETRY_ATTEMPTS_PER_PROVIDER; retry++) {
+      if (retry > 0) {
+        const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** (retry - 1), RETRY_MAX_DELAY_MS);
+        await delay(Math.max(backoff, lastError.retryAfter || 0), signal);
+      }
+      if (lastError) reportProgress({ provider: current.provider, attempt: attempt + 1 });
+      attempt++;
+
+      // Each provider's tokens are recorded separately, even for a run that fails partway
+      const runUsage = { input: 0, output: 0, model: current.model };
+      try {
+        const groups = current.provider === "local"
+          ? groupTabsLocally(tabData, { maxGroups: current.promptMaxGroups }).groups
+          : await requestGroupsInBatches(current.provider, current, tabData, {
+            existingGroups, knownGroups, usage: runUsage, signal,
+          });
+        if (usage) Object.assign(usage, runUsage);
+        return { groups, answeredBy: { provider: current.provider, model: current.model, fallback: index > 0 } };
+      } catch (err) {
+        if (!err.retryable) throw err;
+        lastError = err;
+        console.warn(`${current.provider} failed (attempt ${attempt}):`, err.message);
+      } finally {
+        await recordUsage(current.provider, runUsage, "analyze");
+      }
+
+      // Timed out, or asked to wait longer than we would: go straight to the next provider
+      if (lastError.code === "timeout" || lastError.retryAfter > RETRY_MAX_DELAY_MS) break;
+    }
+  }
+  if (chain.length > 1) lastError.message = `All providers failed. Last error: ${lastError.message}`;
+  throw lastError;
+}
+
+// Waits, unless the analysis is cancelled first
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    }, { once: true });
+  });
+}
+
+function cancelledError() {
+  return Object.assign(new Error("Analysis cancelled."), { code: "cancelled" });
+}
+
+// Large windows are split so each request fits the model's budget. Later batches see the
+// group names found so far, and groups are merged by name at the end.
+// `knownGroups` ({ name, color }) are groups already chosen for other tabs, to be reused.
+async function requestGroupsInBatches(provider, settings, tabData, { existingGroups = [], knownGroups = [], usage, signal }) {
+  const budget = BATCH_INPUT_TOKENS[provider] || BATCH_INPUT_TOKENS.default;
+  const batches = splitIntoBatches(tabData, budget);
+  let system = buildBatchSystemPrompt(settings, existingGroups, batches.length);
+  // Known groups are presented like those of an earlier batch
+  if (knownGroups.length > 0 && batches.length === 1) system += BATCH_PROMPT;
+
+  let groups = knownGroups.map((g) => ({ ...g, tabIds: [] }));
+  for (let i = 0; i < batches.length; i++) {
+    if (batches.length > 1) reportProgress({ batch: i + 1, batches: batches.length });
+    const user = buildBatchUserPrompt(batches[i], i, batches.length, existingGroups, groups);
+    const onText = streamProgress(groups, tabData);
+    const batchGroups = await requestGroups(provider, settings, { system, user, usage, onText, signal });
+    groups = mergeGroupsByName([...groups, ...batchGroups]);
+  }
+  return groups;
+}
+
+function buildBatchSystemPrompt(settings, existingGroups, batchCount) {
+  let system = buildSystemPrompt(settings);
+  if (existingGroups.length > 0) system += INCREMENTAL_PROMPT;
+  if (batchCount > 1) system += BATCH_PROMPT;
+  return system;
+}
+
+function buildBatchUserPrompt(batch, index, batchCount, existingGroups, groupsSoFar) {
+  const parts = [];
+  if (existingGroups.length > 0) parts.push(`Existing groups:\n${JSON.stringify(existingGroups, null, 2)}`);
+  const soFar = groupsSoFar.filter((g) => g.groupId == null).map((g) => ({ name: g.name, color: g.color }));
+  if (soFar.length > 0) parts.push(`Groups so far:\n${JSON.stringify(soFar, null, 2)}`);
+  if (batchCount > 1) parts.push(`Batch ${index + 1} of ${batchCount}.`);
+  const label = existingGroups.length > 0 ? "Ungrouped tabs" : "Organize these tabs";
+  parts.push(`${label}:\n${JSON.stringify(batch, null, 2)}`);
+  return parts.join("\n\n");
+}
+
+function splitIntoBatches(tabData, budgetTokens) {
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+  for (const tab of tabData) {
+    // ~4 characters per token
+    const tokens = Math.ceil(JSON.stringify(tab).length / 4) + 4;
+    if (current.length > 0 && (currentTokens + tokens > budgetTokens || current.length >= BATCH_MAX_TABS)) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(tab);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+// Progress updates for the popup; nobody may be listening
+function reportProgress(progress) {
+  browser.runtime.sendMessage({ action: "analysisProgress", ...progress }).catch(() => {});
+}
+
+// Ask the model for groups; if its answer fails validation, send the error back once for a fix
+async function requestGroups(provider, settings, request) {
+  const apiResponse = await callAPI(provider, settings, request);
+  let text = "";
+  try {
+    text = extractText(provider, apiResponse);
+    return parseGroupsResponse(text);
+  } catch (err) {
+    console.warn("Invalid model response, asking for a repair:", err);
+    const repair = {
+      ...request,
+      user: `${request.user}\n\nYour previous answer could not be used: ${err.detail || err.message}\n\n` +
+        `Previous answer:\n${text.slice(0, 4000) || "(empty)"}\n\n` +
+        "Reply again with the complete, corrected JSON only.",
+    };
+    const retryResponse = await callAPI(provider, settings, repair);
+    return parseGroupsResponse(extractText(provider, retryResponse));
+  }
+}
+
+// `request.usage`, when given, accumulates the tokens reported by the provider.
+// With `request.onText`, the answer is streamed and the callback gets the text so far.
+// `request.signal` cancels it; `settings.timeout` (seconds) bounds the whole request.
+async function callAPI(provider, settings, request) {
+  const stream = !!request.onText;
+  const { url, headers, body, model } = buildAPIRequest(provider, settings, { ...request, stream });
+
+  const signals = [];
+  if (request.signal) signals.push(request.signal);
+  if (settings.timeout > 0) signals.push(AbortSignal.timeout(settings.timeout * 1000));
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: signals.length > 0 ? AbortSignal.any(signals) : undefined,
+    });
+  } catch (fetchErr) {
+    throw toAbortError(fetchErr, request.signal, settings.timeout) ||
+      Object.assign(new Error(`Network error: ${fetchErr.message}`), { status: 0, retryable: true });
+  }
+
+  if (!res.ok) throw await responseError(res);
+
+  let json;
+  try {
+    json = stream ? await readStream(provider, res, request.onText) : await res.json();
+  } catch (err) {
+    throw toAbortError(err, request.signal, settings.timeout) || err;
+  }
+  if (request.usage) addUsage(request.usage, extractUsage(provider, json), model);
+  return json;
+}
+
+// The error for a failed response, with its status and whether retrying could help
+async function responseError(res) {
+  // Rate limits, timeouts and server errors are worth retrying, possibly elsewhere
+  const error = {
+    status: res.status,
+    retryable: res.status === 408 || res.status === 429 || res.status >= 500,
+    retryAfter: parseRetryAfter(res.headers.get("Retry-After")),
+  };
+  if (res.status === 401) return Object.assign(new Error("Invalid API key. Check Settings."), error);
+  if (res.status === 429) {
+    return Object.assign(new Error("Rate limited by provider. Wait a moment and try again."), error);
+  }
+  // Try JSON first (Claude/OpenAI/Gemini), fall back to generic message
+  const errText = await res.text().catch(() => "");
+  let errMsg = `API error (${res.status})`;
+  try {
+    const errJson = JSON.parse(errText);
+    errMsg = errJson.error?.message || errJson.message || errMsg;
+  } catch {
+    // Don't surface raw body - use generic message
+  }
+  return Object.assign(new Error(errMsg), error);
+}
+
+// A request stopped by the user or by the timeout; null for any other error
+function toAbortError(err, cancelSignal, timeout) {
+  if (err.name !== "AbortError" && err.name !== "TimeoutError") return null;
+  if (cancelSignal?.aborted) return cancelledError();
+  // Worth trying the next provider
+  return Object.assign(new Error(`The AI provider didn't answer within ${timeout} seconds.`), {
+    code: "timeout", status: 0, retryable: true,
+  });
+}
+
+// Retry-After is either a number of seconds or an HTTP date; returns milliseconds or null
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function ollamaBaseUrl(ollamaUrl) {
+  const rawUrl = ollamaUrl || "http://localhost:11434";
+  let parsedBase;
+  try {
+    parsedBase = new URL(rawUrl);
+  } catch {
+    throw new Error("Invalid Ollama URL in settings.");
+  }
+  if (parsedBase.hostname !== "localhost" && parsedBase.hostname !== "127.0.0.1") {
+    throw new Error("Ollama URL must be localhost.");
+  }
+  return rawUrl.replace(/\/$/, "");
+}
+
+function buildAPIRequest(provider, settings, { system, user, schema = GROUP_SCHEMA, stream = false }) {
+  const { model, apiKey, ollamaUrl } = settings;
+
+  let url, headers, body, geminiModel;
+
+  switch (provider) {
+    case "openai": {
+      url = "https://api.openai.com/v1/chat/completions";
+      headers = {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`,
+      };
+      body = {
+        model: model || "gpt-4o-mini",
+        max_tokens: 1024,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user },
+        ],
+        response_format: {
+          type: "json_schema",
+          json_schema: { name: "answer", strict: true, schema },
+        },
+      };
+      if (stream) Object.assign(body, { stream: true, stream_options: { include_usage: true } });
+      break;
+    }
+    case "gemini": {
+      // Gemini names the model in the URL rather than the body
+      geminiModel = model || "gemini-2.0-flash";
+      url = `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:` +
+        (stream ? "streamGenerateContent?alt=sse" : "generateContent");
+      headers = { "Content-Type": "application/json", "x-goog-api-key": apiKey };
+      body = {
+        systemInstruction: { parts: [{ text: system }] },
+        contents: [{ role: "user", parts: [{ text: user }] }],
+        generationConfig: {
+          maxOutputTokens: 1024,
+          responseMimeType: "application/json",
+          responseSchema: toGeminiSchema(schema),
+        },
+      };
+      break;
+    }
+    case "compat": {
+      // Any server exposing the OpenAI chat-completions API
+      const base = (settings.compatUrl || "").replace(/\/+$/, "");
+      url = `${base}/chat/completions`;
+      headers = { ...settings.compatHeaders, "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      body = {
+        model,
+        max_tokens: 1024,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user },
+        ],
+        response_format: {
+          type: "json_schema",
+          json_schema: { name: "answer", strict: true, schema },
+        },
+      };
+      if (stream) body.stream = true;
+      break;
+    }
+    case "ollama": {
+      url = `${ollamaBaseUrl(ollamaUrl)}/api/chat`;
+      headers = { "Content-Type": "application/json" };
+      body = {
+        model: model || "llama3.2",
+        stream,
+        format: schema,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user },
+        ],
+      };
+      break;
+    }
+    case "claude":
+    default: {
+      url = "https://api.anthropic.com/v1/messages";
+      headers = {
+        "Content-Type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": "2023-06-01",
+        "anthropic-dangerous-direct-browser-access": "true",
+      };
+      body = {
+        model: model || "claude-haiku-4-5-20251001",
+        max_tokens: 1024,
+        system,
+        messages: [{ role: "user", content: user }],
+        // Forced tool call: the tool input is the structured answer
+        tools: [{ name: "submit_answer", description: "Submit the answer.", input_schema: schema }],
+        tool_choice: { type: "tool", name: "submit_answer" },
+      };
+      if (stream) body.stream = true;
+    }
+  }
+
+  return { url, headers, body, model: body.model || geminiModel };
 }
 
 function extractText(provider, apiResponse) {
   let text;
+  if (apiResponse.streamedText !== undefined) provider = "streamed";
   switch (provider) {
+    case "streamed":
+      text = apiResponse.streamedText;
+      break;
     case "openai":
+    case "compat":
       text = apiResponse.choices?.[0]?.message?.content;
       break;
     case "gemini":
@@ -294,37 +1232,109 @@ function extractText(provider, apiResponse) {
       text = apiResponse.message?.content;
       break;
     case "claude":
-    default:
-      text = apiResponse.content?.[0]?.text;
+    default: {
+      const toolUse = apiResponse.content?.find((block) => block.type === "tool_use");
+      text = toolUse ? JSON.stringify(toolUse.input) : apiResponse.content?.find((block) => block.type === "text")?.text;
+    }
   }
   if (!text) throw new Error("Empty response from AI provider. Try again.");
   return text;
 }
 
-function parseAndValidateGroups(text, allTabIds) {
-  let parsed;
-  try {
-    const cleaned = text.replace(/^```(?:json)?\n?/, "").replace(/\n?```$/, "").trim();
-    parsed = JSON.parse(cleaned);
-  } catch {
-    throw new Error("AI returned invalid JSON. Try again.");
+// Gemini takes an OpenAPI-style subset of JSON Schema
+function toGeminiSchema(schema) {
+  const result = {};
+  const types = [].concat(schema.type);
+  result.type = types.find((t) => t !== "null").toUpperCase();
+  if (types.includes("null")) result.nullable = true;
+  if (schema.enum) result.enum = schema.enum;
+  if (schema.items) result.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
   }
+  if (schema.required) result.required = schema.required;
+  return result;
+}
+
+function parseGroupsResponse(text) {
+  const parsed = parseModelJSON(text);
 
   if (!Array.isArray(parsed.groups) || parsed.groups.length === 0) {
-    throw new Error("Response missing groups. Try again.");
+    throw Object.assign(new Error("Response missing groups. Try again."), {
+      detail: 'The JSON must have a non-empty "groups" array.',
+    });
+  }
+  const malformed = parsed.groups.findIndex((g) => !g || typeof g !== "object" || !Array.isArray(g.tabIds));
+  if (malformed !== -1) {
+    throw Object.assign(new Error("AI returned malformed groups. Try again."), {
+      detail: `groups[${malformed}] must be an object with a "tabIds" array.`,
+    });
+  }
+
+  return parsed.groups;
+}
+
+// Tolerates markdown fences and prose around the JSON object
+function parseModelJSON(text) {
+  const cleaned = text.replace(/^```(?:json)?\n?/, "").replace(/\n?```$/, "").trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (err) {
+    const start = cleaned.indexOf("{");
+    const end = cleaned.lastIndexOf("}");
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(cleaned.slice(start, end + 1));
+      } catch {
+        // Fall through to the error below
+      }
+    }
+    throw Object.assign(new Error("AI returned invalid JSON. Try again."), { detail: `Invalid JSON (${err.message}).` });
+  }
+}
+
+// Combine groups that share a name (case-insensitive); the first occurrence keeps its color
+function mergeGroupsByName(groups) {
+  const byName = new Map();
+  const merged = [];
+  for (const group of groups) {
+    const key = String(group.name || "").trim().toLowerCase();
+    const target = key && byName.get(key);
+    if (target) {
+      target.tabIds = [...target.tabIds, ...(group.tabIds || [])];
+      target.groupId ??= group.groupId;
+      continue;
+    }
+    const copy = { ...group, tabIds: [...(group.tabIds || [])] };
+    if (key) byName.set(key, copy);
+    merged.push(copy);
   }
+  return merged;
+}
 
-  const validColors = new Set(["blue", "cyan", "grey", "green", "orange", "pink", "purple", "red", "yellow"]);
+function validateGroups(groups, allTabIds, existingGroups = []) {
+  const validColors = new Set(GROUP_COLORS);
   const allTabIdSet = new Set(allTabIds);
+  const existingById = new Map(existingGroups.map((g) => [g.groupId, g]));
 
   const assignedIds = new Set();
-  for (const group of parsed.groups) {
+  for (const group of groups) {
+    // Resolve references to existing groups; their name and color are kept as-is
+    const existing = group.groupId != null ? existingById.get(Number(group.groupId)) : undefined;
+    delete group.groupId;
+    if (existing) {
+      group.existingGroupId = existing.groupId;
+      group.name = existing.name;
+      group.color = existing.color;
+    }
     // Validate and sanitize name
     group.name = String(group.name || "Group").slice(0, 50);
     // Validate color
     if (!validColors.has(group.color)) group.color = "grey";
-    // Filter out invalid tab IDs and deduplicate across groups
-    group.tabIds = group.tabIds.filter((id) => {
+    // Filter out invalid tab IDs (numeric strings are accepted) and deduplicate across groups
+    group.tabIds = group.tabIds.map(Number).filter((id) => {
       if (!allTabIdSet.has(id) || assignedIds.has(id)) return false;
       assignedIds.add(id);
       return true;
@@ -332,13 +1342,1034 @@ function parseAndValidateGroups(text, allTabIds) {
   }
 
   // Remove empty groups
-  parsed.groups = parsed.groups.filter((g) => g.tabIds.length > 0);
+  const validGroups = groups.filter((g) => g.tabIds.length > 0);
 
   // Find orphaned tabs
   const missingIds = allTabIds.filter((id) => !assignedIds.has(id));
   if (missingIds.length > 0) {
-    parsed.groups.push({ name: "Other", color: "grey", tabIds: missingIds });
+    validGroups.push({ name: "Other", color: "grey", tabIds: missingIds });
   }
 
-  return parsed.groups;
+  return validGroups;
+}
+
+// --- Grouping rules ---
+
+function applyGroupingRules(tabs, rules, existingGroups = []) {
+  const ruleGroups = [];
+  const unmatched = [];
+  for (const tab of tabs) {
+    const rule = rules.find((r) => matchesRule(r, tab));
+    if (!rule) {
+      unmatched.push(tab);
+      continue;
+    }
+    // Rules named after an existing group add to that group
+    const existing = existingGroups.find((g) => g.name.toLowerCase() === rule.name.toLowerCase());
+    ruleGroups.push({ name: rule.name, color: rule.color, tabIds: [tab.id], groupId: existing?.groupId });
+  }
+  return { ruleGroups: mergeGroupsByName(ruleGroups), unmatched };
+}
+
+function matchesRule(rule, tab) {
+  if (!rule.pattern) return false;
+  try {
+    switch (rule.type) {
+      case "domain": {
+        const domain = rule.pattern.trim().toLowerCase().replace(/^\*\./, "");
+        const hostname = new URL(tab.url).hostname.toLowerCase();
+        return hostname === domain || hostname.endsWith("." + domain);
+      }
+      case "glob": {
+        // Patterns without a scheme match against the URL minus its scheme
+        const target = rule.pattern.includes("://") ? tab.url : tab.url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "");
+        return globToRegExp(rule.pattern.trim()).test(target);
+      }
+      case "title":
+        return new RegExp(rule.pattern, "i").test(tab.title || "");
+      default:
+        return false;
+    }
+  } catch (err) {
+    console.warn(`Skipping invalid rule "${rule.pattern}":`, err);
+    return false;
+  }
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${source}$`, "i");
+}
+
+// --- Cleanup ---
+
+// Duplicate tabs (same URL once tracking parameters and fragments are ignored) and tabs
+// not used for `staleDays`, suggested for closing or discarding next to the groups
+function findCleanupCandidates(tabs, staleDays) {
+  const candidates = [];
+  const flagged = new Set();
+
+  const byUrl = new Map();
+  for (const tab of tabs) {
+    const key = normalizeUrlForDuplicates(tab.url);
+    if (!key) continue;
+    if (!byUrl.has(key)) byUrl.set(key, []);
+    byUrl.get(key).push(tab);
+  }
+  for (const copies of byUrl.values()) {
+    if (copies.length < 2) continue;
+    // Keep the active or most recently used copy
+    const [keep, ...rest] = [...copies].sort((a, b) => (b.active - a.active) || ((b.lastAccessed || 0) - (a.lastAccessed || 0)));
+    for (const tab of rest) {
+      candidates.push(describeCleanupTab(tab, {
+        reason: tab.url === keep.url ? "duplicate" : "near-duplicate",
+        duplicateOf: keep.id,
+      }));
+      flagged.add(tab.id);
+    }
+  }
+
+  if (staleDays > 0) {
+    const cutoff = Date.now() - staleDays * 86_400_000;
+    for (const tab of tabs) {
+      if (flagged.has(tab.id) || tab.active || !tab.lastAccessed || tab.lastAccessed >= cutoff) continue;
+      const days = Math.floor((Date.now() - tab.lastAccessed) / 86_400_000);
+      candidates.push(describeCleanupTab(tab, { reason: "stale", days }));
+    }
+  }
+  return candidates;
+}
+
+function describeCleanupTab(tab, details) {
+  return { id: tab.id, title: tab.title, url: tab.url, favIconUrl: tab.favIconUrl, discarded: !!tab.discarded, ...details };
+}
+
+function normalizeUrlForDuplicates(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+  const params = [...parsed.searchParams].filter(([key]) => !TRACKING_PARAMS.test(key)).sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  const host = parsed.host.toLowerCase().replace(/^www\./, "");
+  const path = parsed.pathname.replace(/\/+$/, "");
+  return `${host}${path}${query ? `?${query}` : ""}`;
+}
+
+// Closing can't be undone by Undo; discarded tabs stay open and are grouped as usual
+async function applyCleanup(cleanup, scopeTabIds) {
+  const closeIds = cleanup.filter((c) => c.action === "close" && scopeTabIds.has(c.id)).map((c) => c.id);
+  const discardIds = cleanup.filter((c) => c.action === "discard" && scopeTabIds.has(c.id)).map((c) => c.id);
+  if (closeIds.length > 0) await browser.tabs.remove(closeIds);
+  if (discardIds.length > 0) await browser.tabs.discard(discardIds);
+  return { closed: closeIds.length, discarded: discardIds.length };
+}
+
+// --- Redaction ---
+
+// What is sent for each tab under the privacy settings. Tabs on internal domains are
+// reduced to a hashed hostname (so they can still be grouped together), masked, or left out entirely.
+async function redactTabs(tabs, settings) {
+  const tabData = [];
+  const excludedIds = [];
+  for (const tab of tabs) {
+    const internal = isInternalUrl(tab.url, settings.internalDomains);
+    const action = settings.internalDomainAction || "hash";
+    if (internal && action === "exclude") {
+      excludedIds.push(tab.id);
+      continue;
+    }
+    let url = tab.url;
+    if (internal && action === "mask") {
+      url = "https://internal.invalid/";
+    } else if (internal) {
+      url = await hashInternalUrl(url);
+    } else {
+      url = redactUrl(url, settings.urlRedaction);
+    }
+    tabData.push({ id: tab.id, title: tab.title, url });
+  }
+  return { tabData, excludedIds };
+}
+
+function isExcludedTab(tab, settings) {
+  return settings.internalDomainAction === "exclude" && isInternalUrl(tab.url, settings.internalDomains);
+}
+
+// Matches the listed domains and their subdomains; "*.corp.example" is the same as "corp.example"
+function isInternalUrl(url, domains = []) {
+  if (domains.length === 0) return false;
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  if (!hostname) return false;
+  return domains.some((domain) => {
+    const d = domain.trim().toLowerCase().replace(/^\*\./, "");
+    return d && (hostname === d || hostname.endsWith(`.${d}`));
+  });
+}
+
+// "full" sends the URL unchanged, "path" drops the query string and fragment, "hostname" keeps only the site
+function redactUrl(url, mode = "full") {
+  if (mode === "full") return url;
+  try {
+    const parsed = new URL(url);
+    if (mode === "hostname") return parsed.host ? `${parsed.protocol}//${parsed.host}/` : parsed.protocol;
+    parsed.username = "";
+    parsed.password = "";
+    parsed.search = "";
+    parsed.hash = "";
+    return parsed.href;
+  } catch {
+    return "";
+  }
+}
+
+// Internal paths and queries can be as revealing as the hostname, so only the hashed host is kept
+async function hashInternalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(parsed.hostname));
+    const hex = [...new Uint8Array(digest).slice(0, 4)].map((b) => b.toString(16).padStart(2, "0")).join("");
+    return `${parsed.protocol}//internal-${hex}.invalid/`;
+  } catch {
+    return "";
+  }
+}
+
+// --- Model discovery ---
+
+// Lists the provider's models and caches them for the settings page
+async function handleListModels({ provider, overrides }) {
+  const settings = await loadProviderSettings({ provider, overrides, modelOptional: true });
+  const models = await fetchModelList(provider, settings);
+  const { modelCache = {} } = await browser.storage.local.get("modelCache");
+  modelCache[provider] = { time: Date.now(), models };
+  await browser.storage.local.set({ modelCache });
+  return { ok: true, models };
+}
+
+// Listing models is authenticated but free, so it doubles as the connection test
+async function handleTestConnection({ provider, model, overrides }) {
+  const { models } = await handleListModels({ provider, overrides });
+  // Ollama lists untagged models as "name:latest"
+  const known = !model || models.some((m) => m.value === model || m.value === `${model}:latest`);
+  return {
+    ok: true,
+    models,
+    message: known
+      ? `Connected. ${models.length} model${models.length !== 1 ? "s" : ""} available.`
+      : `Connected, but ${model} isn't in the provider's model list.`,
+  };
+}
+
+async function fetchModelList(provider, settings) {
+  const { url, headers } = buildModelsRequest(provider, settings);
+  let res;
+  try {
+    res = await fetch(url, {
+      headers,
+      signal: settings.timeout > 0 ? AbortSignal.timeout(settings.timeout * 1000) : undefined,
+    });
+  } catch (fetchErr) {
+    throw toAbortError(fetchErr, null, settings.timeout) || new Error(`Network error: ${fetchErr.message}`);
+  }
+  if (!res.ok) throw await responseError(res);
+  const json = await res.json();
+
+  let models;
+  switch (provider) {
+    case "openai":
+      // The list also has embedding, audio and image models
+      models = (json.data || [])
+        .map((m) => m.id)
+        .filter((id) => /^(gpt-|o\d|chatgpt-)/.test(id) && !/(audio|realtime|transcribe|tts|image|search)/.test(id))
+        .map((id) => ({ value: id, label: id }));
+      break;
+    case "compat":
+      models = (json.data || []).map((m) => ({ value: m.id, label: m.id }));
+      break;
+    case "gemini":
+      models = (json.models || [])
+        .filter((m) => m.supportedGenerationMethods?.includes("generateContent") && /gemini/.test(m.name))
+        .map((m) => ({ value: m.name.replace(/^models\//, ""), label: m.displayName || m.name }));
+      break;
+    case "ollama":
+      models = (json.models || []).map((m) => ({ value: m.name, label: m.name }));
+      break;
+    case "claude":
+    default:
+      models = (json.data || []).map((m) => ({ value: m.id, label: m.display_name || m.id }));
+  }
+  return models.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+function buildModelsRequest(provider, settings) {
+  const { apiKey } = settings;
+  switch (provider) {
+    case "openai":
+      return { url: "https://api.openai.com/v1/models", headers: { Authorization: `Bearer ${apiKey}` } };
+    case "compat": {
+      const headers = { ...settings.compatHeaders };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      return { url: `${(settings.compatUrl || "").replace(/\/+$/, "")}/models`, headers };
+    }
+    case "gemini":
+      return {
+        url: "https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000",
+        headers: { "x-goog-api-key": apiKey },
+      };
+    case "ollama":
+      return { url: `${ollamaBaseUrl(settings.ollamaUrl)}/api/tags`, headers: {} };
+    case "claude":
+    default:
+      return {
+        url: "https://api.anthropic.com/v1/models?limit=1000",
+        headers: {
+          "x-api-key": apiKey,
+          "anthropic-version": "2023-06-01",
+          "anthropic-dangerous-direct-browser-access": "true",
+        },
+      };
+  }
+}
+
+// --- Streaming ---
+
+// Server-sent events (Claude, OpenAI, Gemini) or NDJSON (Ollama), returned in the same
+// shape for extractText and extractUsage
+async function readStream(provider, res, onText) {
+  let text = "";
+  const usage = { input: 0, output: 0 };
+  for await (const rawLine of readLines(res.body)) {
+    const line = rawLine.trim();
+    let data = line;
+    if (provider !== "ollama") {
+      if (!line.startsWith("data:")) continue;
+      data = line.slice(5).trim();
+    }
+    if (!data || data === "[DONE]") continue;
+
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch {
+      continue;
+    }
+    // Errors after the response has started are server-side (overloaded and the like)
+    if (event.error || event.type === "error") {
+      const message = event.error?.message || event.error || "The provider ended the response with an error.";
+      throw Object.assign(new Error(message), { status: 0, retryable: true });
+    }
+    const delta = readStreamEvent(provider, event, usage);
+    if (delta) {
+      text += delta;
+      onText(text);
+    }
+  }
+  return { streamedText: text, streamedUsage: usage };
+}
+
+async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    yield* lines;
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+// Returns the text added by one event and copies any token counts into `usage`
+function readStreamEvent(provider, event, usage) {
+  switch (provider) {
+    case "openai":
+    case "compat":
+      if (event.usage) {
+        usage.input = event.usage.prompt_tokens || 0;
+        usage.output = event.usage.completion_tokens || 0;
+      }
+      return event.choices?.[0]?.delta?.content;
+    case "gemini":
+      // Counts are running totals
+      if (event.usageMetadata) {
+        usage.input = event.usageMetadata.promptTokenCount || 0;
+        usage.output = event.usageMetadata.candidatesTokenCount || 0;
+      }
+      return event.candidates?.[0]?.content?.parts?.map((part) => part.text || "").join("");
+    case "ollama":
+      if (event.done) {
+        usage.input = event.prompt_eval_count || 0;
+        usage.output = event.eval_count || 0;
+      }
+      return event.message?.content;
+    case "claude":
+    default:
+      if (event.type === "message_start") usage.input = event.message?.usage?.input_tokens || 0;
+      if (event.type === "message_delta") usage.output = event.usage?.output_tokens || 0;
+      // The forced tool call streams its input as JSON fragments
+      if (event.type === "content_block_delta") return event.delta?.text ?? event.delta?.partial_json;
+      return "";
+  }
+}
+
+// Sends the popup every group the model has finished writing so far, with tab titles
+function streamProgress(groupsSoFar, tabData) {
+  const titles = new Map(tabData.map((t) => [t.id, t.title]));
+  let lastCount = -1;
+  let lastSent = 0;
+  return (text) => {
+    const complete = parseStreamedGroups(text)
+      .filter((g) => g && typeof g.name === "string" && Array.isArray(g.tabIds));
+    const now = Date.now();
+    if (complete.length === lastCount && now - lastSent < STREAM_PROGRESS_INTERVAL_MS) return;
+    lastCount = complete.length;
+    lastSent = now;
+    const groups = mergeGroupsByName([...groupsSoFar, ...complete])
+      .map((g) => ({ name: g.name, color: g.color, tabs: g.tabIds.map((id) => titles.get(id)).filter(Boolean) }))
+      .filter((g) => g.tabs.length > 0);
+    // ~4 characters per token
+    reportProgress({ streamed: { tokens: Math.ceil(text.length / 4), groups } });
+  };
+}
+
+// Incremental parser: the complete objects of the "groups" array in a partial JSON answer
+function parseStreamedGroups(text) {
+  const match = /"groups"\s*:\s*\[/.exec(text);
+  if (!match) return [];
+  const groups = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+  for (let i = match.index + match[0].length; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === "{" || ch === "[") {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (ch === "}" || ch === "]") {
+      if (depth === 0) break; // end of the groups array
+      depth--;
+      if (depth === 0) {
+        try {
+          groups.push(JSON.parse(text.slice(start, i + 1)));
+        } catch {
+          // Not valid JSON; the final parse will report it
+        }
+      }
+    }
+  }
+  return groups;
+}
+
+// --- Usage and cost ---
+
+// Input and output tokens as reported by each provider's response
+function extractUsage(provider, apiResponse) {
+  if (apiResponse.streamedUsage) return apiResponse.streamedUsage;
+  switch (provider) {
+    case "openai":
+    case "compat":
+      return { input: apiResponse.usage?.prompt_tokens || 0, output: apiResponse.usage?.completion_tokens || 0 };
+    case "gemini":
+      return {
+        input: apiResponse.usageMetadata?.promptTokenCount || 0,
+        output: apiResponse.usageMetadata?.candidatesTokenCount || 0,
+      };
+    case "ollama":
+      return { input: apiResponse.prompt_eval_count || 0, output: apiResponse.eval_count || 0 };
+    case "claude":
+    default:
+      return { input: apiResponse.usage?.input_tokens || 0, output: apiResponse.usage?.output_tokens || 0 };
+  }
+}
+
+function addUsage(total, usage, model) {
+  total.input += usage.input;
+  total.output += usage.output;
+  if (model) total.model = model;
+}
+
+// One history entry per run (an analysis or an auto-assign request), oldest dropped first. Writes
+// are chained so requests finishing together (auto-assign during an analysis) keep both entries.
+function recordUsage(provider, usage, kind) {
+  if (usage.input === 0 && usage.output === 0) return usageWrites;
+  const entry = { time: Date.now(), provider, model: usage.model || "", kind, input: usage.input, output: usage.output };
+  usageWrites = usageWrites.catch(() => {}).then(async () => {
+    const { usageHistory = [] } = await browser.storage.local.get("usageHistory");
+    usageHistory.push(entry);
+    await browser.storage.local.set({ usageHistory: usageHistory.slice(-USAGE_HISTORY_LIMIT) });
+  });
+  return usageWrites;
+}
+
+async function loadPriceTable() {
+  const { modelPrices } = await browser.storage.local.get("modelPrices");
+  return { ...DEFAULT_PRICES, ...modelPrices };
+}
+
+// Local models are free; unknown models (such as custom servers) have no estimate
+function estimateCost(provider, model, usage, prices) {
+  if (provider === "ollama" || provider === "local") return 0;
+  const price = prices[model];
+  if (!price) return null;
+  return (usage.input * price.input + usage.output * price.output) / 1_000_000;
+}
+
+// This month's totals per provider and model, plus everything needed to show and edit prices
+async function handleGetUsage() {
+  const { usageHistory = [], monthlyBudget } = await browser.storage.local.get(["usageHistory", "monthlyBudget"]);
+  const prices = await loadPriceTable();
+  const monthStart = new Date();
+  monthStart.setDate(1);
+  monthStart.setHours(0, 0, 0, 0);
+
+  const byModel = new Map();
+  const month = { runs: 0, input: 0, output: 0, cost: 0, unpriced: 0 };
+  for (const entry of usageHistory) {
+    if (entry.time < monthStart.getTime()) continue;
+    const key = `${entry.provider}:${entry.model}`;
+    if (!byModel.has(key)) {
+      byModel.set(key, { provider: entry.provider, model: entry.model, runs: 0, input: 0, output: 0, cost: 0 });
+    }
+    const row = byModel.get(key);
+    const cost = estimateCost(entry.provider, entry.model, entry, prices);
+    for (const total of [row, month]) {
+      total.runs++;
+      total.input += entry.input;
+      total.output += entry.output;
+    }
+    if (cost === null) {
+      row.cost = null;
+      month.unpriced++;
+    } else {
+      if (row.cost !== null) row.cost += cost;
+      month.cost += cost;
+    }
+  }
+
+  return {
+    ok: true,
+    month,
+    byModel: [...byModel.values()],
+    budget: monthlyBudget || 0,
+    overBudget: monthlyBudget > 0 && month.cost >= monthlyBudget,
+    prices,
+    defaultPrices: DEFAULT_PRICES,
+  };
+}
+
+// --- Encrypted API keys ---
+
+// The vault in storage holds the API keys encrypted with AES-GCM under a key derived from the
+// user's passphrase (PBKDF2). Decrypted keys live in this page's memory until auto-lock.
+
+async function handleGetKeyStatus() {
+  const { keyVault } = await browser.storage.local.get("keyVault");
+  return { ok: true, encrypted: !!keyVault, locked: !!keyVault && !unlockedKeys };
+}
+
+async function handleUnlockKeys({ passphrase }) {
+  const { keyVault, autoLockMinutes } = await browser.storage.local.get(["keyVault", "autoLockMinutes"]);
+  if (!keyVault) throw new Error("API keys aren't encrypted.");
+  const key = await deriveVaultKey(passphrase, fromBase64(keyVault.salt), keyVault.iterations);
+  unlockedKeys = await decryptVault(keyVault, key);
+  vaultKey = key;
+  scheduleAutoLock(autoLockMinutes);
+  return { ok: true };
+}
+
+async function handleLockKeys() {
+  lockKeys();
+  return { ok: true };
+}
+
+// Moves the plaintext keys into a new vault
+async function handleEnableKeyEncryption({ passphrase }) {
+  if (!passphrase || passphrase.length < 8) throw new Error("Use a passphrase of at least 8 characters.");
+  const stored = await browser.storage.local.get(["keyVault", "autoLockMinutes", "provider", "apiKey", ...VAULT_KEY_NAMES]);
+  if (stored.keyVault) throw new Error("API keys are already encrypted.");
+
+  const keys = Object.fromEntries(VAULT_KEY_NAMES.filter((name) => stored[name]).map((name) => [name, stored[name]]));
+  // The legacy shared key belongs to the chosen provider, as in resolveProviderSettings
+  const legacySlot = `apiKey_${stored.provider || "claude"}`;
+  if (stored.apiKey && legacySlot !== "apiKey_compat" && VAULT_KEY_NAMES.includes(legacySlot) && !keys[legacySlot]) {
+    keys[legacySlot] = stored.apiKey;
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveVaultKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const keyVault = await encryptVault(keys, key, salt, PBKDF2_ITERATIONS);
+  await browser.storage.local.set({ keyVault });
+  await browser.storage.local.remove([...VAULT_KEY_NAMES, "apiKey"]);
+
+  vaultKey = key;
+  unlockedKeys = keys;
+  scheduleAutoLock(stored.autoLockMinutes);
+  return { ok: true };
+}
+
+// Writes the keys back in plaintext and removes the vault
+async function handleDisableKeyEncryption({ passphrase }) {
+  const { keyVault } = await browser.storage.local.get("keyVault");
+  if (!keyVault) throw new Error("API keys aren't encrypted.");
+  const key = await deriveVaultKey(passphrase, fromBase64(keyVault.salt), keyVault.iterations);
+  const keys = await decryptVault(keyVault, key);
+  await browser.storage.local.set(keys);
+  await browser.storage.local.remove("keyVault");
+  lockKeys();
+  return { ok: true };
+}
+
+// Adds or replaces keys in the vault; needs the vault to be unlocked
+async function handleStoreEncryptedKeys({ keys }) {
+  const { keyVault } = await browser.storage.local.get("keyVault");
+  if (!keyVault) throw new Error("API keys aren't encrypted.");
+  if (!unlockedKeys) {
+    throw Object.assign(new Error("Unlock your API keys before changing them."), { code: "locked" });
+  }
+  const merged = { ...unlockedKeys };
+  for (const [name, value] of Object.entries(keys)) {
+    if (VAULT_KEY_NAMES.includes(name) && value) merged[name] = value;
+  }
+  const updated = await encryptVault(merged, vaultKey, fromBase64(keyVault.salt), keyVault.iterations);
+  await browser.storage.local.set({ keyVault: updated });
+  unlockedKeys = merged;
+  return { ok: true };
+}
+
+function lockKeys() {
+  clearTimeout(autoLockTimer);
+  vaultKey = null;
+  unlockedKeys = null;
+}
+
+// Restarted on every use, so keys lock after that many idle minutes (0 keeps them until restart)
+function scheduleAutoLock(minutes = DEFAULT_AUTO_LOCK_MINUTES) {
+  clearTimeout(autoLockTimer);
+  if (minutes > 0) autoLockTimer = setTimeout(lockKeys, minutes * 60_000);
+}
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encryptVault(keys, key, salt, iterations) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(keys))
+  );
+  return {
+    version: 1,
+    salt: toBase64(salt),
+    iterations,
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data)),
+    // Which providers have a key, so settings can show them without unlocking
+    keys: Object.keys(keys),
+  };
+}
+
+async function decryptVault(vault, key) {
+  try {
+    const data = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(vault.iv) }, key, fromBase64(vault.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  } catch {
+    throw new Error("Wrong passphrase.");
+  }
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+// --- Workspaces ---
+
+// A window's tabs in order with their groups, stored under `workspaces`
+async function handleSaveWorkspace({ name, windowId }) {
+  name = String(name || "").trim();
+  if (!name) throw new Error("Give the workspace a name.");
+
+  // Leave out the extension's own pages, such as the workspaces page itself
+  const ownPages = browser.runtime.getURL("");
+  const tabs = (await browser.tabs.query({ windowId }))
+    .filter((t) => !t.url.startsWith(ownPages))
+    .sort((a, b) => a.index - b.index);
+  if (tabs.length === 0) throw new Error("This window has no tabs to save.");
+
+  const liveGroups = browser.tabGroups?.query ? await browser.tabGroups.query({ windowId }) : [];
+  const liveById = new Map(liveGroups.map((g) => [g.id, g]));
+  const groups = [];
+  const groupIndex = new Map();
+  for (const tab of tabs) {
+    const group = liveById.get(tab.groupId);
+    if (group && !groupIndex.has(group.id)) {
+      groupIndex.set(group.id, groups.length);
+      groups.push({ name: group.title || "Untitled", color: group.color });
+    }
+  }
+
+  const workspace = {
+    id: crypto.randomUUID(),
+    name,
+    savedAt: Date.now(),
+    groups,
+    tabs: tabs.map((t) => ({
+      url: t.url,
+      title: t.title,
+      pinned: t.pinned,
+      group: groupIndex.get(t.groupId) ?? null,
+    })),
+  };
+  const { workspaces = [] } = await browser.storage.local.get("workspaces");
+  await browser.storage.local.set({ workspaces: [...workspaces, workspace] });
+  return { ok: true, workspace };
+}
+
+// Reopens a workspace in a new window and recreates its groups the same way Apply does
+async function handleRestoreWorkspace({ id }) {
+  const { workspaces = [] } = await browser.storage.local.get("workspaces");
+  const workspace = workspaces.find((w) => w.id === id);
+  if (!workspace) throw new Error("Workspace not found.");
+
+  // Extensions can't open privileged pages such as about: or file: URLs
+  const restorable = workspace.tabs.filter((t) => /^https?:/.test(t.url));
+  if (restorable.length === 0) throw new Error("None of this workspace's tabs can be reopened.");
+
+  const win = await browser.windows.create({});
+  const initialTabs = await browser.tabs.query({ windowId: win.id });
+  const groups = workspace.groups.map((g) => ({ name: g.name, color: g.color, tabIds: [] }));
+  const openedIds = new Set();
+  for (const [i, tab] of restorable.entries()) {
+    // Only the first tab loads right away; the rest load when selected
+    const lazy = i > 0 && !tab.pinned;
+    const opened = await browser.tabs.create({
+      windowId: win.id,
+      url: tab.url,
+      pinned: tab.pinned,
+      active: i === 0,
+      ...(lazy ? { discarded: true, title: tab.title } : {}),
+    });
+    openedIds.add(opened.id);
+    if (tab.group != null && groups[tab.group]) groups[tab.group].tabIds.push(opened.id);
+  }
+  await browser.tabs.remove(initialTabs.map((t) => t.id));
+
+  const toApply = groups.filter((g) => g.tabIds.length > 0);
+  if (toApply.length > 0) {
+    if (IS_ZEN) {
+      await applyGroupsBySort(toApply, openedIds, win.id);
+    } else {
+      await applyGroupsByNative(toApply, openedIds, win.id);
+    }
+  }
+  return { ok: true, opened: openedIds.size, skipped: workspace.tabs.length - restorable.length };
+}
+
+// --- Auto-assign new tabs ---
+
+browser.tabs.onCreated.addListener((tab) => scheduleAutoAssign(tab.id, tab.windowId));
+browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.title || changeInfo.status === "complete") {
+    scheduleAutoAssign(tabId, tab.windowId);
+  }
+});
+browser.tabs.onRemoved.addListener((tabId) => {
+  clearTimeout(autoAssignTimers.get(tabId));
+  autoAssignTimers.delete(tabId);
+  autoAssignChecked.delete(tabId);
+});
+browser.windows.onRemoved.addListener((windowId) => autoAssignWindows.delete(windowId));
+
+async function handleGetAutoAssign({ windowId }) {
+  const { autoAssign } = await browser.storage.local.get("autoAssign");
+  return { ok: true, available: !!autoAssign && !IS_ZEN, enabled: autoAssignWindows.has(windowId) };
+}
+
+async function handleSetAutoAssign({ windowId, enabled }) {
+  if (enabled) {
+    autoAssignWindows.add(windowId);
+  } else {
+    autoAssignWindows.delete(windowId);
+  }
+  return { ok: true, enabled: autoAssignWindows.has(windowId) };
+}
+
+// Debounced: every update restarts the timer, so classification sees the settled tab
+function scheduleAutoAssign(tabId, windowId) {
+  if (!autoAssignWindows.has(windowId)) return;
+  clearTimeout(autoAssignTimers.get(tabId));
+  autoAssignTimers.set(tabId, setTimeout(() => {
+    autoAssignTimers.delete(tabId);
+    autoAssignTab(tabId).catch((err) => console.warn(`Auto-assign failed for tab ${tabId}:`, err));
+  }, AUTO_ASSIGN_DELAY_MS));
+}
+
+async function autoAssignTab(tabId) {
+  const { autoAssign, autoAssignMethod, groupingRules } = await browser.storage.local.get([
+    "autoAssign", "autoAssignMethod", "groupingRules",
+  ]);
+  if (!autoAssign || IS_ZEN || !browser.tabs.group || !browser.tabGroups?.query) return;
+
+  const tab = await browser.tabs.get(tabId);
+  if (!autoAssignWindows.has(tab.windowId) || tab.pinned || (tab.groupId ?? -1) !== -1) return;
+  if (!/^https?:/.test(tab.url) || autoAssignChecked.get(tabId) === tab.url) return;
+  autoAssignChecked.set(tabId, tab.url);
+
+  const windowTabs = await browser.tabs.query({ windowId: tab.windowId, pinned: false });
+  const existingGroups = await describeExistingGroups(windowTabs);
+
+  // 1. Rules: join the rule's group, creating it if needed
+  const { ruleGroups } = applyGroupingRules([tab], groupingRules || [], existingGroups);
+  if (ruleGroups.length > 0) {
+    const [rule] = ruleGroups;
+    if (rule.groupId != null) {
+      await browser.tabs.group({ groupId: rule.groupId, tabIds: [tab.id] });
+    } else {
+      const groupId = await browser.tabs.group({ tabIds: [tab.id], createProperties: { windowId: tab.windowId } });
+      await browser.tabGroups.update(groupId, { title: rule.name, color: rule.color });
+    }
+    return;
+  }
+  if (existingGroups.length === 0) return;
+
+  // 2. Site: the group with the most tabs from the same domain
+  const groupId = matchGroupByDomain(tab, windowTabs)
+    // 3. Optionally, a small model request
+    ?? (autoAssignMethod === "ai" ? await classifyTabWithAI(tab, windowTabs) : null);
+  if (groupId != null) await browser.tabs.group({ groupId, tabIds: [tab.id] });
+}
+
+function matchGroupByDomain(tab, windowTabs) {
+  const { domain } = parseTabUrl(tab.url);
+  if (!domain) return null;
+  const counts = new Map();
+  for (const t of windowTabs) {
+    if (t.id === tab.id || (t.groupId ?? -1) === -1) continue;
+    if (parseTabUrl(t.url).domain === domain) counts.set(t.groupId, (counts.get(t.groupId) || 0) + 1);
+  }
+  if (counts.size === 0) return null;
+  return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+async function classifyTabWithAI(tab, windowTabs) {
+  const settings = await loadProviderSettings();
+  if (settings.provider === "local") return null;
+
+  const { tabData: [newTab] } = await redactTabs([tab], settings);
+  if (!newTab) return null;
+  const existingGroups = await describeExistingGroups(windowTabs.filter((t) => !isExcludedTab(t, settings)));
+  if (existingGroups.length === 0) return null;
+
+  const user = `Existing groups:\n${JSON.stringify(existingGroups, null, 2)}\n\n` +
+    `New tab:\n${JSON.stringify({ title: newTab.title, url: newTab.url })}`;
+  const usage = { input: 0, output: 0, model: settings.model };
+  const apiResponse = await callAPI(settings.provider, settings, {
+    system: AUTO_ASSIGN_PROMPT,
+    user,
+    schema: ASSIGN_SCHEMA,
+    usage,
+  });
+  await recordUsage(settings.provider, usage, "autoAssign");
+  const answer = parseModelJSON(extractText(settings.provider, apiResponse));
+  const groupId = answer.groupId == null ? null : Number(answer.groupId);
+  return existingGroups.some((g) => g.groupId === groupId) ? groupId : null;
+}
+
+// --- Scheduled auto-organize ---
+
+configureAutoOrganizeAlarm().catch((err) => console.warn("Auto-organize schedule failed:", err));
+
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.autoOrganizeInterval) {
+    configureAutoOrganizeAlarm().catch((err) => console.warn("Auto-organize schedule failed:", err));
+  }
+});
+
+browser.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== AUTO_ORGANIZE_ALARM) return;
+  // Results are already waiting for review
+  await pendingLoaded;
+  if (pending) return;
+  const focused = await browser.windows.getLastFocused({ windowTypes: ["normal"] }).catch(() => null);
+  if (focused) runAutoOrganize(focused.id);
+});
+
+browser.tabs.onCreated.addListener((tab) => {
+  clearTimeout(thresholdTimers.get(tab.windowId));
+  thresholdTimers.set(tab.windowId, setTimeout(() => {
+    thresholdTimers.delete(tab.windowId);
+    checkUngroupedThreshold(tab.windowId).catch((err) => console.warn("Threshold check failed:", err));
+  }, THRESHOLD_CHECK_DELAY_MS));
+});
+
+async function configureAutoOrganizeAlarm() {
+  const { autoOrganizeInterval } = await browser.storage.local.get("autoOrganizeInterval");
+  await browser.alarms.clear(AUTO_ORGANIZE_ALARM);
+  if (autoOrganizeInterval > 0) {
+    browser.alarms.create(AUTO_ORGANIZE_ALARM, { periodInMinutes: autoOrganizeInterval });
+  }
+}
+
+async function checkUngroupedThreshold(windowId) {
+  const { autoOrganizeThreshold } = await browser.storage.local.get("autoOrganizeThreshold");
+  if (!(autoOrganizeThreshold > 0)) return;
+  if (Date.now() - lastAutoOrganizeTime < THRESHOLD_MIN_GAP_MS) return;
+  // Results are already waiting for review
+  await pendingLoaded;
+  if (pending) return;
+
+  const tabs = await browser.tabs.query({ windowId, pinned: false });
+  const ungrouped = tabs.filter((t) => (t.groupId ?? -1) === -1).length;
+  if (ungrouped >= autoOrganizeThreshold) await runAutoOrganize(windowId);
+}
+
+// Same analyze -> apply pipeline as the popup, without the popup. Only ungrouped
+// tabs are organized when native groups exist, so earlier groups are kept.
+async function runAutoOrganize(windowId) {
+  if (autoOrganizeRunning) return;
+  autoOrganizeRunning = true;
+  lastAutoOrganizeTime = Date.now();
+  try {
+    const { autoOrganizeAction } = await browser.storage.local.get("autoOrganizeAction");
+    const incremental = !IS_ZEN && !!browser.tabGroups?.query;
+    const result = await handleAnalyzeTabs({ incremental, windowId, controller: new AbortController() });
+    if (autoOrganizeAction === "apply") {
+      await handleApplyGroups({ groups: result.groups, windowId });
+    } else {
+      setBadge(String(result.groups.length));
+    }
+  } catch (err) {
+    console.warn("Auto-organize skipped:", err.message);
+  } finally {
+    autoOrganizeRunning = false;
+  }
+}
+
+function setBadge(text) {
+  browser.browserAction.setBadgeText({ text });
+  if (text) browser.browserAction.setBadgeBackgroundColor({ color: "#D4890E" });
+}
+
+// --- Keyboard shortcuts ---
+
+browser.commands.onCommand.addListener((command) => {
+  if (command === "organize-review") {
+    // openPopup only works while the shortcut still counts as a user action, so no await first
+    analyzeOnOpen = true;
+    browser.browserAction.openPopup().then(() => {
+      // A popup that stops early (no provider set up yet) never picks it up, and the next
+      // ordinary open must not start an analysis
+      clearTimeout(analyzeOnOpenTimer);
+      analyzeOnOpenTimer = setTimeout(() => (analyzeOnOpen = false), ANALYZE_ON_OPEN_TIMEOUT_MS);
+    }, () => {
+      analyzeOnOpen = false;
+      runShortcut(() => organizeFromShortcut(false));
+    });
+  } else if (command === "organize-apply") {
+    runShortcut(() => organizeFromShortcut(true));
+  } else if (command === "undo-or-ungroup") {
+    runShortcut(undoFromShortcut);
+  }
+});
+
+// The popup is closed, so progress shows on the badge and the outcome as a notification
+async function runShortcut(task) {
+  if (shortcutRunning) return;
+  shortcutRunning = true;
+  setBadge("...");
+  try {
+    const message = await task();
+    notify("Hayatab", message);
+  } catch (err) {
+    setBadge("");
+    notify("Hayatab couldn't organize your tabs", err.message);
+  } finally {
+    shortcutRunning = false;
+  }
+}
+
+async function organizeFromShortcut(apply) {
+  const { id: windowId } = await browser.windows.getLastFocused({ windowTypes: ["normal"] });
+  const { incrementalMode, analysisScope } = await browser.storage.local.get(["incrementalMode", "analysisScope"]);
+  const scope = analysisScope === "all" ? "all" : "window";
+  const incremental = !!incrementalMode && !IS_ZEN && !!browser.tabGroups?.query;
+
+  const result = await handleAnalyzeTabs({ incremental, scope, windowId });
+  const tabCount = result.groups.reduce((sum, g) => sum + g.tabIds.length, 0);
+  if (!apply) {
+    setBadge(String(result.groups.length));
+    return `${result.groups.length} groups are ready for review. Open the toolbar popup to apply them.`;
+  }
+
+  const applied = await handleApplyGroups({ groups: result.groups, scope, windowId });
+  const verb = applied.sortedOnly ? "Sorted" : "Grouped";
+  return `${verb} ${tabCount} tabs into ${result.groups.length} groups. Press the undo shortcut to revert.`;
+}
+
+// Undo the last apply if there is one, otherwise ungroup the focused window
+async function undoFromShortcut() {
+  if (lastSnapshot) {
+    await handleUndoApply();
+    setBadge("");
+    return "Previous tab layout restored.";
+  }
+
+  const { id: windowId } = await browser.windows.getLastFocused({ windowTypes: ["normal"] });
+  const tabs = await browser.tabs.query({ windowId });
+  const groupedIds = tabs.filter((t) => (t.groupId ?? -1) !== -1).map((t) => t.id);
+  if (groupedIds.length === 0 || !browser.tabs.ungroup) throw new Error("Nothing to undo and no groups to remove.");
+
+  // Keep the layout so a second press brings the groups back
+  const snapshot = await snapshotWindow(windowId);
+  await browser.tabs.ungroup(groupedIds);
+  lastSnapshot = [snapshot];
+  setBadge("");
+  return `Ungrouped ${groupedIds.length} tabs. Press the shortcut again to restore them.`;
+}
+
+function notify(title, message) {
+  browser.notifications.create({
+    type: "basic",
+    iconUrl: browser.runtime.getURL("icons/icon-96.svg"),
+    title,
+    message,
+  });
 }
@@ -0,0 +1,278 @@
+// Offline grouping for the "Local" provider. Clusters tabs by registrable domain,
+// URL path prefix and title keyword similarity (TF-IDF), with no network traffic.
+// Returns the same { groups: [{ name, color, tabIds }] } shape the AI providers do.
+
+const LOCAL_COLORS = ["blue", "cyan", "green", "orange", "pink", "purple", "red", "yellow", "grey"];
+const LOCAL_MAX_GROUPS = 8;
+const LOCAL_SIMILARITY_THRESHOLD = 0.2;
+
+// Second-level suffixes where the registrable domain has three labels
+const MULTI_PART_SUFFIXES = new Set([
+  "co.uk", "org.uk", "ac.uk", "gov.uk", "com.au", "net.au", "org.au", "co.nz",
+  "co.jp", "ne.jp", "co.kr", "com.br", "com.cn", "com.mx", "com.tr", "co.in", "co.za",
+]);
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "from", "that", "this", "your", "you", "are", "was",
+  "how", "what", "why", "when", "into", "about", "new", "tab", "page", "home", "www",
+  "com", "org", "net", "http", "https", "html", "untitled", "login", "sign",
+  "der", "die", "das", "und", "les", "des", "una", "para",
+]);
+
+const DOMAIN_NAMES = {
+  github: "GitHub",
+  gitlab: "GitLab",
+  youtube: "YouTube",
+  stackoverflow: "Stack Overflow",
+  linkedin: "LinkedIn",
+  reddit: "Reddit",
+  google: "Google",
+  wikipedia: "Wikipedia",
+};
+
+function groupTabsLocally(tabData, { maxGroups } = {}) {
+  const docs = tabData.map((t) => {
+    const { domain, pathPrefix } = parseTabUrl(t.url);
+    return { id: t.id, domain, pathPrefix, tokens: tokenizeTitle(t.title) };
+  });
+
+  const idf = computeIdf(docs);
+  for (const doc of docs) doc.vector = tfidfVector(doc.tokens, idf);
+
+  let clusters = seedClusters(docs);
+  clusters = foldSingletons(clusters);
+  clusters = mergeUntilWithin(clusters, maxGroups || LOCAL_MAX_GROUPS);
+
+  clusters.sort((a, b) => b.docs.length - a.docs.length);
+  const usedNames = new Set();
+  const groups = clusters.map((cluster, i) => {
+    let name = cluster.other ? "Other" : nameCluster(cluster, idf);
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) name = `${nameCluster(cluster, idf)} ${n}`;
+    usedNames.add(name.toLowerCase());
+    return {
+      name,
+      color: cluster.other ? "grey" : LOCAL_COLORS[i % LOCAL_COLORS.length],
+      tabIds: cluster.docs.map((d) => d.id),
+    };
+  });
+
+  return { groups };
+}
+
+// --- Features ---
+
+function parseTabUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (!parsed.hostname) return { domain: parsed.protocol.replace(/:$/, ""), pathPrefix: "" };
+    const pathPrefix = parsed.pathname.split("/").filter(Boolean)[0]?.toLowerCase() || "";
+    return { domain: registrableDomain(parsed.hostname), pathPrefix };
+  } catch {
+    return { domain: "", pathPrefix: "" };
+  }
+}
+
+function registrableDomain(hostname) {
+  const host = hostname.toLowerCase().replace(/^www\./, "");
+  if (/^[\d.]+$/.test(host) || host.includes(":") || !host.includes(".")) return host;
+  const labels = host.split(".");
+  const keep = MULTI_PART_SUFFIXES.has(labels.slice(-2).join(".")) ? 3 : 2;
+  return labels.slice(-keep).join(".");
+}
+
+function tokenizeTitle(title) {
+  return String(title || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length >= 3 && !STOPWORDS.has(w) && !/^\d+$/.test(w));
+}
+
+function computeIdf(docs) {
+  const df = new Map();
+  for (const doc of docs) {
+    for (const token of new Set(doc.tokens)) df.set(token, (df.get(token) || 0) + 1);
+  }
+  const idf = new Map();
+  for (const [token, count] of df) idf.set(token, Math.log((1 + docs.length) / (1 + count)) + 1);
+  return idf;
+}
+
+function tfidfVector(tokens, idf) {
+  const vector = new Map();
+  for (const token of tokens) vector.set(token, (vector.get(token) || 0) + idf.get(token));
+  return normalize(vector);
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const v of vector.values()) norm += v * v;
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (const [k, v] of vector) vector.set(k, v / norm);
+  return vector;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [k, v] of small) dot += v * (large.get(k) || 0);
+  return dot;
+}
+
+// --- Clustering ---
+
+function makeCluster(docs, key) {
+  const centroid = new Map();
+  for (const doc of docs) {
+    for (const [k, v] of doc.vector) centroid.set(k, (centroid.get(k) || 0) + v);
+  }
+  return { key, docs, centroid: normalize(centroid) };
+}
+
+function clusterSimilarity(a, b) {
+  // Shared domains count as strongly related even when titles differ
+  const domainsA = new Set(a.docs.map((d) => d.domain));
+  const sharesDomain = b.docs.some((d) => d.domain && domainsA.has(d.domain));
+  return cosine(a.centroid, b.centroid) + (sharesDomain ? 0.5 : 0);
+}
+
+// One cluster per registrable domain; large domains split by first path segment
+function seedClusters(docs) {
+  const byDomain = new Map();
+  for (const doc of docs) {
+    if (!byDomain.has(doc.domain)) byDomain.set(doc.domain, []);
+    byDomain.get(doc.domain).push(doc);
+  }
+
+  const clusters = [];
+  for (const [domain, domainDocs] of byDomain) {
+    const byPrefix = new Map();
+    for (const doc of domainDocs) {
+      if (!byPrefix.has(doc.pathPrefix)) byPrefix.set(doc.pathPrefix, []);
+      byPrefix.get(doc.pathPrefix).push(doc);
+    }
+    const splits = [...byPrefix].filter(([prefix, list]) => prefix && list.length >= 2);
+    if (domainDocs.length < 4 || splits.length < 2) {
+      clusters.push(makeCluster(domainDocs, { domain }));
+      continue;
+    }
+    const splitIds = new Set();
+    for (const [prefix, list] of splits) {
+      clusters.push(makeCluster(list, { domain, prefix }));
+      for (const doc of list) splitIds.add(doc.id);
+    }
+    const rest = domainDocs.filter((d) => !splitIds.has(d.id));
+    if (rest.length > 0) clusters.push(makeCluster(rest, { domain }));
+  }
+  return clusters;
+}
+
+// Attach single-tab clusters to their closest match, or pair them up by title
+function foldSingletons(clusters) {
+  const multi = clusters.filter((c) => c.docs.length > 1);
+  let singles = clusters.filter((c) => c.docs.length === 1);
+  const leftover = [];
+
+  for (const single of singles) {
+    let best = null;
+    let bestScore = LOCAL_SIMILARITY_THRESHOLD;
+    for (const cluster of multi) {
+      const score = cosine(single.centroid, cluster.centroid);
+      if (score >= bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+    if (best) {
+      multi[multi.indexOf(best)] = makeCluster([...best.docs, ...single.docs], best.key);
+    } else {
+      leftover.push(single);
+    }
+  }
+
+  singles = leftover;
+  const paired = [];
+  const unmatched = [];
+  while (singles.length > 0) {
+    const [first, ...rest] = singles;
+    const matches = rest.filter((c) => cosine(first.centroid, c.centroid) >= LOCAL_SIMILARITY_THRESHOLD);
+    if (matches.length > 0) {
+      paired.push(makeCluster([first, ...matches].flatMap((c) => c.docs), {}));
+    } else {
+      unmatched.push(first);
+    }
+    singles = rest.filter((c) => !matches.includes(c));
+  }
+
+  const result = [...multi, ...paired];
+  if (unmatched.length > 0) {
+    const other = makeCluster(unmatched.flatMap((c) => c.docs), {});
+    other.other = true;
+    result.push(other);
+  }
+  return result;
+}
+
+function mergeUntilWithin(clusters, max) {
+  clusters = [...clusters];
+  while (clusters.length > max) {
+    const candidates = clusters.filter((c) => !c.other);
+    let bestPair = null;
+    let bestScore = -1;
+    for (let i = 0; i < candidates.length; i++) {
+      for (let j = i + 1; j < candidates.length; j++) {
+        // Prefer similar clusters, then small ones
+        const size = candidates[i].docs.length + candidates[j].docs.length;
+        const score = clusterSimilarity(candidates[i], candidates[j]) - size * 0.001;
+        if (score > bestScore) {
+          bestScore = score;
+          bestPair = [candidates[i], candidates[j]];
+        }
+      }
+    }
+    if (!bestPair) break;
+    const [a, b] = bestPair;
+    const key = a.key.domain === b.key.domain ? { domain: a.key.domain } : {};
+    clusters = clusters.filter((c) => c !== a && c !== b);
+    clusters.push(makeCluster([...a.docs, ...b.docs], key));
+  }
+  return clusters;
+}
+
+// --- Naming ---
+
+function nameCluster(cluster, idf) {
+  const counts = new Map();
+  for (const doc of cluster.docs) counts.set(doc.domain, (counts.get(doc.domain) || 0) + 1);
+  const [topDomain, topCount] = [...counts].sort((a, b) => b[1] - a[1])[0];
+
+  // Mostly one site: name it after the site
+  if (topDomain && topCount / cluster.docs.length >= 0.6) {
+    const base = domainDisplayName(topDomain);
+    return cluster.key.prefix ? `${base} ${titleCase(cluster.key.prefix)}` : base;
+  }
+
+  const tokens = sharedTokens(cluster, idf);
+  if (tokens.length > 0) return tokens.slice(0, 2).map(titleCase).join(" ");
+  return topDomain ? domainDisplayName(topDomain) : "Misc";
+}
+
+// Tokens appearing in at least two tabs, ranked by total TF-IDF weight
+function sharedTokens(cluster, idf) {
+  const docCount = new Map();
+  for (const doc of cluster.docs) {
+    for (const token of new Set(doc.tokens)) docCount.set(token, (docCount.get(token) || 0) + 1);
+  }
+  return [...docCount]
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] * idf.get(b[0]) - a[1] * idf.get(a[0]))
+    .map(([token]) => token);
+}
+
+function domainDisplayName(domain) {
+  const label = domain.split(".")[0];
+  return DOMAIN_NAMES[label] || titleCase(label);
+}
+
+function titleCase(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
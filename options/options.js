@@ -27,8 +27,8 @@ const PROVIDERS = {
     label: "Gemini",
     models: [
       { value: "gemini-2.0-flash", label: "Gemini 2.0 Flash (cheapest)" },
-      { value: "gemini-2.5-flash-preview-05-20", label: "Gemini 2.5 Flash" },
-      { value: "gemini-2.5-pro-preview-05-06", label: "Gemini 2.5 Pro" },
+      { value: "gemini-2.5-flash", label: "Gemini 2.5 Flash" },
+      { value: "gemini-2.5-pro", label: "Gemini 2.5 Pro" },
     ],
     credentialType: "apiKey",
     keyPlaceholder: "AIza...",
@@ -47,22 +47,133 @@ const PROVIDERS = {
     ],
     credentialType: "ollama",
     storageKey: "ollamaUrl",
+    defaultTimeout: 120, // local models can be slow
+  },
+  local: {
+    label: "Local",
+    models: [
+      { value: "heuristic", label: "Domain + keyword clustering" },
+    ],
+    credentialType: "none",
+  },
+  compat: {
+    label: "Custom",
+    models: [],
+    freeTextModel: true,
+    credentialType: "compat",
+    keyPlaceholder: "Optional bearer token",
+    keyLabel: "API Key (optional)",
+    storageKey: "apiKey_compat",
+    defaultTimeout: 120,
   },
 };
 
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const TIMEOUT_OPTIONS = [
+  { value: 30, label: "30 seconds" },
+  { value: 60, label: "1 minute" },
+  { value: 120, label: "2 minutes" },
+  { value: 300, label: "5 minutes" },
+  { value: 0, label: "No timeout" },
+];
+const TIMEOUT_KEYS = ["timeout_claude", "timeout_openai", "timeout_gemini", "timeout_ollama", "timeout_compat"];
+
 // All per-provider storage keys
-const ALL_KEY_FIELDS = ["apiKey_claude", "apiKey_openai", "apiKey_gemini", "ollamaUrl"];
+const ALL_KEY_FIELDS = ["apiKey_claude", "apiKey_openai", "apiKey_gemini", "ollamaUrl", "apiKey_compat", "compatUrl"];
+
+// Everything the settings page reads from storage
+const SETTINGS_KEYS = [
+  "provider", "cooldown",
+  "model_claude", "model_openai", "model_gemini", "model_ollama", "model_local", "model_compat",
+  "compatHeaders", "groupingRules", "autoAssign", "autoAssignMethod",
+  "autoOrganizeInterval", "autoOrganizeThreshold", "autoOrganizeAction",
+  "promptMinGroups", "promptMaxGroups", "promptNamingStyle", "promptEmoji", "promptLanguage",
+  "promptExtra", "promptOverride",
+  "urlRedaction", "internalDomains", "internalDomainAction", "staleTabDays",
+  "keyVault", "autoLockMinutes", "modelPrices", "monthlyBudget", "fallbackProviders",
+  ...TIMEOUT_KEYS, ...ALL_KEY_FIELDS,
+];
+
+// Value type of every setting, for checking imported files
+const SETTING_TYPES = {
+  string: [
+    "provider", "model_claude", "model_openai", "model_gemini", "model_ollama", "model_local", "model_compat",
+    "autoAssignMethod", "autoOrganizeAction", "promptNamingStyle", "promptLanguage", "promptExtra", "promptOverride",
+    "urlRedaction", "internalDomainAction", ...ALL_KEY_FIELDS,
+  ],
+  number: [
+    "cooldown", "autoOrganizeInterval", "autoOrganizeThreshold", "promptMinGroups", "promptMaxGroups", "staleTabDays",
+    "autoLockMinutes", "monthlyBudget", ...TIMEOUT_KEYS,
+  ],
+  boolean: ["autoAssign", "promptEmoji"],
+  array: ["groupingRules", "internalDomains", "fallbackProviders"],
+  object: ["compatHeaders", "keyVault", "modelPrices"],
+};
+
+// Allowed values of the settings picked from a list
+const SETTING_CHOICES = {
+  urlRedaction: ["full", "path", "hostname"],
+  internalDomainAction: ["hash", "mask", "exclude"],
+  autoOrganizeAction: ["review", "apply"],
+};
+
+// Kept in the vault when encryption is on
+const VAULT_KEY_NAMES = ["apiKey_claude", "apiKey_openai", "apiKey_gemini", "apiKey_compat"];
+
+// Left out of exports unless asked for; custom headers often carry tokens too
+const SECRET_KEYS = ["apiKey_claude", "apiKey_openai", "apiKey_gemini", "apiKey_compat", "compatHeaders", "keyVault"];
+
+const SETTINGS_FILE_FORMAT = "hayatab-settings";
+const SETTINGS_FILE_VERSION = 1;
+
+const GROUP_COLORS = ["blue", "cyan", "grey", "green", "orange", "pink", "purple", "red", "yellow"];
+
+const RULE_TYPES = [
+  { value: "domain", label: "Domain", placeholder: "*.atlassian.net" },
+  { value: "glob", label: "URL glob", placeholder: "github.com/our-org/*" },
+  { value: "title", label: "Title regex", placeholder: "^\\[JIRA-\\d+\\]" },
+];
 
 const providerTabs = document.getElementById("provider-tabs");
 const providerConfig = document.getElementById("provider-config");
 const cooldownSelect = document.getElementById("cooldown");
+const staleTabDaysSelect = document.getElementById("stale-tab-days");
 const btnSave = document.getElementById("btn-save");
 const statusEl = document.getElementById("status");
+const rulesList = document.getElementById("rules-list");
+const fallbackList = document.getElementById("fallback-list");
+const autoAssignCheckbox = document.getElementById("auto-assign");
+const autoAssignMethodSelect = document.getElementById("auto-assign-method");
+const autoOrganizeIntervalSelect = document.getElementById("auto-organize-interval");
+const autoOrganizeThresholdInput = document.getElementById("auto-organize-threshold");
+const autoOrganizeActionSelect = document.getElementById("auto-organize-action");
+const bookmarkTargetCheckbox = document.getElementById("bookmark-target");
+const promptMinInput = document.getElementById("prompt-min-groups");
+const promptMaxInput = document.getElementById("prompt-max-groups");
+const promptStyleSelect = document.getElementById("prompt-naming-style");
+const promptEmojiCheckbox = document.getElementById("prompt-emoji");
+const promptLanguageInput = document.getElementById("prompt-language");
+const promptExtraInput = document.getElementById("prompt-extra");
+const promptOverrideInput = document.getElementById("prompt-override");
+const btnEditPrompt = document.getElementById("btn-edit-prompt");
+const btnResetPrompt = document.getElementById("btn-reset-prompt");
+const urlRedactionSelect = document.getElementById("url-redaction");
+const internalDomainsInput = document.getElementById("internal-domains");
+const internalDomainActionSelect = document.getElementById("internal-domain-action");
+const autoLockSelect = document.getElementById("auto-lock");
+const passphraseInput = document.getElementById("passphrase");
+const passphraseConfirmInput = document.getElementById("passphrase-confirm");
+const monthlyBudgetInput = document.getElementById("monthly-budget");
+const priceTable = document.getElementById("price-table");
 
 let activeProvider = "claude";  // tab currently being viewed/edited
 let savedProvider = "claude";   // provider actually in use (from storage)
 let currentModelChangeListener = null;
 let allSavedData = {};
+let rules = [];
+let fallbacks = []; // { provider, model }; an empty model means the provider's saved one
+let modelCache = {}; // provider -> { time, models } from "Refresh Models"
+let defaultPrices = {}; // model -> { input, output }, from the background page
 
 function maskKey(key) {
   if (!key || key.length < 12) return "****";
@@ -146,11 +257,79 @@ function isProviderConfigured(providerId) {
   if (config.credentialType === "ollama") {
     return !!allSavedData.ollamaUrl;
   }
-  return !!allSavedData[config.storageKey];
+  if (config.credentialType === "none") return true;
+  if (config.credentialType === "compat") return !!allSavedData.compatUrl;
+  return !!allSavedData[config.storageKey] || hasEncryptedKey(config.storageKey);
+}
+
+function hasEncryptedKey(storageKey) {
+  return !!allSavedData.keyVault?.keys.includes(storageKey);
 }
 
 // --- Provider config panel ---
 
+// API key field: masked display with a Change button once a key is saved
+function renderApiKeyField(config) {
+  const savedKey = allSavedData[config.storageKey];
+  const encrypted = hasEncryptedKey(config.storageKey);
+  if (savedKey || encrypted) {
+    // Show masked key with change button
+    const field = document.createElement("div");
+    field.className = "field";
+
+    const label = document.createElement("label");
+    label.textContent = config.keyLabel;
+    field.appendChild(label);
+
+    const keyRow = document.createElement("div");
+    keyRow.className = "key-display-row";
+
+    const masked = document.createElement("span");
+    masked.className = "key-display";
+    masked.textContent = encrypted ? "Encrypted" : maskKey(savedKey);
+    keyRow.appendChild(masked);
+
+    const changeBtn = document.createElement("button");
+    changeBtn.type = "button";
+    changeBtn.className = "btn btn-secondary btn-sm";
+    changeBtn.textContent = "Change";
+    changeBtn.addEventListener("click", () => {
+      // Replace with editable input
+      clearChildren(field);
+      const newLabel = document.createElement("label");
+      newLabel.setAttribute("for", "api-key");
+      newLabel.textContent = config.keyLabel;
+      field.appendChild(newLabel);
+      const input = document.createElement("input");
+      input.type = "password";
+      input.id = "api-key";
+      input.autocomplete = "off";
+      input.placeholder = config.keyPlaceholder;
+      field.appendChild(input);
+      input.focus();
+    });
+    keyRow.appendChild(changeBtn);
+
+    field.appendChild(keyRow);
+    return field;
+  }
+
+  // No key - show empty input
+  return createField(config.keyLabel, "password", "api-key", config.keyPlaceholder);
+}
+
+// "Header-Name: value" lines to an object; returns null on a malformed line
+function parseHeaderLines(text) {
+  const headers = {};
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    const match = line.match(/^\s*([!#$%&'*+.^_`|~0-9A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) return null;
+    headers[match[1]] = match[2].trim();
+  }
+  return headers;
+}
+
 function renderProviderConfig() {
   const config = PROVIDERS[activeProvider];
 
@@ -172,77 +351,55 @@ function renderProviderConfig() {
   modelLabel.textContent = "Model";
   modelField.appendChild(modelLabel);
 
-  const modelSelect = document.createElement("select");
+  // Free-text model name for servers with arbitrary model IDs
+  const modelSelect = document.createElement(config.freeTextModel ? "input" : "select");
   modelSelect.id = "model";
-  for (const m of config.models) {
-    const opt = document.createElement("option");
-    opt.value = m.value;
-    opt.textContent = m.label;
-    modelSelect.appendChild(opt);
+  if (config.freeTextModel) {
+    modelSelect.type = "text";
+    modelSelect.autocomplete = "off";
+    modelSelect.placeholder = "e.g. qwen2.5-7b-instruct";
+    modelSelect.value = allSavedData["model_" + activeProvider] || "";
   }
-
-  // Restore saved model
   const savedModel = allSavedData["model_" + activeProvider];
-  if (savedModel) {
-    const knownValues = config.models.map((m) => m.value);
-    if (knownValues.includes(savedModel)) {
-      modelSelect.value = savedModel;
-    } else if (activeProvider === "ollama") {
-      modelSelect.value = "custom";
-    }
-  }
-
   modelField.appendChild(modelSelect);
+  fillModelOptions(modelSelect, savedModel);
   providerConfig.appendChild(modelField);
+  if (config.credentialType !== "none") providerConfig.appendChild(renderConnectionField());
 
   // Credential fields
   if (config.credentialType === "apiKey") {
-    const savedKey = allSavedData[config.storageKey];
-    if (savedKey) {
-      // Show masked key with change button
-      const field = document.createElement("div");
-      field.className = "field";
-
-      const label = document.createElement("label");
-      label.textContent = config.keyLabel;
-      field.appendChild(label);
-
-      const keyRow = document.createElement("div");
-      keyRow.className = "key-display-row";
-
-      const masked = document.createElement("span");
-      masked.className = "key-display";
-      masked.textContent = maskKey(savedKey);
-      keyRow.appendChild(masked);
-
-      const changeBtn = document.createElement("button");
-      changeBtn.type = "button";
-      changeBtn.className = "btn btn-secondary btn-sm";
-      changeBtn.textContent = "Change";
-      changeBtn.addEventListener("click", () => {
-        // Replace with editable input
-        clearChildren(field);
-        const newLabel = document.createElement("label");
-        newLabel.setAttribute("for", "api-key");
-        newLabel.textContent = config.keyLabel;
-        field.appendChild(newLabel);
-        const input = document.createElement("input");
-        input.type = "password";
-        input.id = "api-key";
-        input.autocomplete = "off";
-        input.placeholder = config.keyPlaceholder;
-        field.appendChild(input);
-        input.focus();
-      });
-      keyRow.appendChild(changeBtn);
-
-      field.appendChild(keyRow);
-      providerConfig.appendChild(field);
-    } else {
-      // No key - show empty input
-      const field = createField(config.keyLabel, "password", "api-key", config.keyPlaceholder);
-      providerConfig.appendChild(field);
-    }
+    providerConfig.appendChild(renderApiKeyField(config));
+  } else if (config.credentialType === "compat") {
+    const note = document.createElement("p");
+    note.className = "hint";
+    note.textContent = "Any server with an OpenAI-style /chat/completions endpoint, such as LM Studio, llama.cpp, vLLM or LocalAI.";
+    providerConfig.appendChild(note);
+
+    const urlField = createField("Base URL", "text", "compat-url", "http://localhost:1234/v1");
+    providerConfig.appendChild(urlField);
+    document.getElementById("compat-url").value = allSavedData.compatUrl || "";
+
+    providerConfig.appendChild(renderApiKeyField(config));
+
+    const headersField = document.createElement("div");
+    headersField.className = "field";
+    const headersLabel = document.createElement("label");
+    headersLabel.setAttribute("for", "compat-headers");
+    headersLabel.textContent = "Custom Headers";
+    const headersInput = document.createElement("textarea");
+    headersInput.id = "compat-headers";
+    headersInput.rows = 3;
+    headersInput.placeholder = "X-Api-Version: 2\nOne header per line";
+    headersInput.value = Object.entries(allSavedData.compatHeaders || {})
+      .map(([name, value]) => `${name}: ${value}`)
+      .join("\n");
+    headersField.append(headersLabel, headersInput);
+    providerConfig.appendChild(headersField);
+  } else if (config.credentialType === "none") {
+    const note = document.createElement("p");
+    note.className = "hint";
+    note.textContent = "Groups tabs by site, URL path and shared title keywords. Runs entirely in your browser: no API key, no network requests.";
+    providerConfig.appendChild(note);
   } else {
     // Ollama: URL field
     const urlField = createField("Ollama URL", "text", "ollama-url", "http://localhost:11434");
@@ -267,19 +424,748 @@ function renderProviderConfig() {
       document.getElementById("custom-model").value = savedModel;
     }
   }
+
+  if (config.credentialType !== "none") providerConfig.appendChild(renderTimeoutField(config));
+}
+
+// Models found by "Refresh Models" replace the built-in list; Ollama keeps its custom entry
+function providerModels(id) {
+  const discovered = modelCache[id]?.models;
+  if (!discovered?.length) return PROVIDERS[id].models;
+  return id === "ollama" ? [...discovered, { value: "custom", label: "Custom model..." }] : discovered;
+}
+
+// Free-text model fields get the list as suggestions instead
+function fillModelOptions(modelSelect, selected) {
+  const models = providerModels(activeProvider);
+  if (PROVIDERS[activeProvider].freeTextModel) {
+    document.getElementById("model-suggestions")?.remove();
+    const list = document.createElement("datalist");
+    list.id = "model-suggestions";
+    for (const m of models) list.appendChild(new Option(m.label, m.value));
+    modelSelect.setAttribute("list", list.id);
+    modelSelect.after(list);
+    return;
+  }
+
+  clearChildren(modelSelect);
+  for (const m of models) modelSelect.appendChild(new Option(m.label, m.value));
+  if (!selected) return;
+  // Ollama lists untagged models as "name:latest"
+  const match = models.find((m) => m.value === selected || m.value === `${selected}:latest`);
+  if (match) {
+    modelSelect.value = match.value;
+  } else if (activeProvider === "ollama") {
+    modelSelect.value = "custom";
+  } else {
+    // Keep a saved model the list doesn't have (yet)
+    modelSelect.appendChild(new Option(selected, selected));
+    modelSelect.value = selected;
+  }
+}
+
+function renderConnectionField() {
+  const field = document.createElement("div");
+  field.className = "field";
+  const row = document.createElement("div");
+  row.className = "inline-fields";
+  for (const [action, text] of [["testConnection", "Test Connection"], ["listModels", "Refresh Models"]]) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn btn-secondary btn-sm";
+    btn.textContent = text;
+    btn.addEventListener("click", () => checkConnection(action));
+    row.appendChild(btn);
+  }
+  const status = document.createElement("p");
+  status.id = "connection-status";
+  status.className = "hint connection-status";
+  const cached = modelCache[activeProvider];
+  if (cached) status.textContent = `Model list from ${new Date(cached.time).toLocaleString()}.`;
+  field.append(row, status);
+  return field;
+}
+
+// Uses what is in the form, saved or not
+function collectConnectionOverrides() {
+  const config = PROVIDERS[activeProvider];
+  const overrides = {};
+  const key = document.getElementById("api-key")?.value.trim();
+  if (key) overrides[config.storageKey] = key;
+  const ollamaUrl = document.getElementById("ollama-url")?.value.trim();
+  if (ollamaUrl) overrides.ollamaUrl = ollamaUrl;
+  const compatUrl = document.getElementById("compat-url")?.value.trim();
+  if (compatUrl) overrides.compatUrl = compatUrl;
+  const headersInput = document.getElementById("compat-headers");
+  if (headersInput) {
+    const headers = parseHeaderLines(headersInput.value);
+    if (!headers) return null;
+    overrides.compatHeaders = headers;
+  }
+  return overrides;
+}
+
+async function checkConnection(action) {
+  const status = document.getElementById("connection-status");
+  status.classList.remove("error");
+  const overrides = collectConnectionOverrides();
+  if (!overrides) {
+    status.textContent = "Write custom headers as \"Name: value\", one per line.";
+    status.classList.add("error");
+    return;
+  }
+
+  // Must be the first await so the request still counts as a user action
+  if (overrides.compatUrl) {
+    let parsed;
+    try {
+      parsed = new URL(overrides.compatUrl);
+    } catch {
+      status.textContent = "Invalid URL.";
+      status.classList.add("error");
+      return;
+    }
+    const granted = await browser.permissions.request({ origins: [`${parsed.protocol}//${parsed.hostname}/*`] });
+    if (!granted) {
+      status.textContent = "Permission to reach the server was denied.";
+      status.classList.add("error");
+      return;
+    }
+  }
+
+  const modelSelect = document.getElementById("model");
+  const model = modelSelect.value === "custom"
+    ? document.getElementById("custom-model")?.value.trim()
+    : modelSelect.value.trim();
+  status.textContent = action === "testConnection" ? "Testing..." : "Loading models...";
+  const response = await browser.runtime.sendMessage({ action, provider: activeProvider, model, overrides });
+  if (!response.ok) {
+    status.textContent = response.error;
+    status.classList.add("error");
+    return;
+  }
+
+  modelCache[activeProvider] = { time: Date.now(), models: response.models };
+  fillModelOptions(modelSelect, model);
+  currentModelChangeListener?.();
+  status.textContent = response.message || `Found ${response.models.length} model${response.models.length !== 1 ? "s" : ""}.`;
+}
+
+function renderTimeoutField(config) {
+  const field = document.createElement("div");
+  field.className = "field";
+  const label = document.createElement("label");
+  label.setAttribute("for", "request-timeout");
+  label.textContent = "Request Timeout";
+  const defaultTimeout = config.defaultTimeout || DEFAULT_TIMEOUT_SECONDS;
+  const select = createSelect(
+    TIMEOUT_OPTIONS.map((o) => ({ value: String(o.value), label: o.value === defaultTimeout ? `${o.label} (default)` : o.label })),
+    String(allSavedData["timeout_" + activeProvider] ?? defaultTimeout)
+  );
+  select.id = "request-timeout";
+  const hint = document.createElement("p");
+  hint.className = "hint";
+  hint.textContent = "Give up on a request after this long. A timed-out analysis doesn't count against the cooldown.";
+  field.append(label, select, hint);
+  return field;
+}
+
+// --- Grouping rules ---
+
+function createSelect(options, value) {
+  const select = document.createElement("select");
+  for (const o of options) {
+    const opt = document.createElement("option");
+    opt.value = o.value;
+    opt.textContent = o.label;
+    select.appendChild(opt);
+  }
+  select.value = value;
+  return select;
+}
+
+function renderRules() {
+  clearChildren(rulesList);
+  rules.forEach((rule, index) => {
+    const row = document.createElement("div");
+    row.className = "rule-row";
+
+    const typeSelect = createSelect(RULE_TYPES, rule.type);
+    const patternInput = document.createElement("input");
+    patternInput.type = "text";
+    patternInput.value = rule.pattern;
+    patternInput.placeholder = RULE_TYPES.find((t) => t.value === rule.type)?.placeholder || "";
+    typeSelect.addEventListener("change", () => {
+      rule.type = typeSelect.value;
+      patternInput.placeholder = RULE_TYPES.find((t) => t.value === rule.type)?.placeholder || "";
+    });
+    patternInput.addEventListener("input", () => (rule.pattern = patternInput.value));
+
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.value = rule.name;
+    nameInput.placeholder = "Group name";
+    nameInput.addEventListener("input", () => (rule.name = nameInput.value));
+
+    const colorSelect = createSelect(GROUP_COLORS.map((c) => ({ value: c, label: c })), rule.color);
+    colorSelect.addEventListener("change", () => (rule.color = colorSelect.value));
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "btn btn-secondary btn-sm";
+    removeBtn.textContent = "Remove";
+    removeBtn.addEventListener("click", () => {
+      rules.splice(index, 1);
+      renderRules();
+    });
+
+    const matchLine = document.createElement("div");
+    matchLine.className = "rule-line";
+    matchLine.append(typeSelect, patternInput);
+
+    const groupLine = document.createElement("div");
+    groupLine.className = "rule-line";
+    groupLine.append(nameInput, colorSelect, removeBtn);
+
+    row.append(matchLine, groupLine);
+    rulesList.appendChild(row);
+  });
+}
+
+// Returns an error message for the first invalid rule, or null
+function validateRules() {
+  for (const rule of rules) {
+    rule.pattern = rule.pattern.trim();
+    rule.name = rule.name.trim();
+    if (!rule.pattern) return "Every rule needs a pattern.";
+    if (!rule.name) return `Rule "${rule.pattern}" needs a group name.`;
+    if (rule.type === "title") {
+      try {
+        new RegExp(rule.pattern, "i");
+      } catch {
+        return `Invalid title regex: ${rule.pattern}`;
+      }
+    }
+  }
+  return null;
+}
+
+document.getElementById("btn-add-rule").addEventListener("click", () => {
+  rules.push({ type: "domain", pattern: "", name: "", color: GROUP_COLORS[rules.length % GROUP_COLORS.length] });
+  renderRules();
+  rulesList.lastElementChild?.querySelector("input")?.focus();
+});
+
+// --- Fallback providers ---
+
+function fallbackModelOptions(provider, selected) {
+  const models = providerModels(provider).filter((m) => m.value !== "custom");
+  const options = [{ value: "", label: "Saved model" }, ...(provider === "local" ? [] : models)];
+  if (selected && !options.some((o) => o.value === selected)) options.push({ value: selected, label: selected });
+  return options;
+}
+
+function renderFallbacks() {
+  clearChildren(fallbackList);
+  fallbacks.forEach((fallback, index) => {
+    const row = document.createElement("div");
+    row.className = "rule-line fallback-row";
+
+    const providerSelect = createSelect(
+      Object.entries(PROVIDERS).map(([value, config]) => ({ value, label: config.label })),
+      fallback.provider
+    );
+    let modelSelect = createSelect(fallbackModelOptions(fallback.provider, fallback.model), fallback.model);
+    providerSelect.addEventListener("change", () => {
+      fallback.provider = providerSelect.value;
+      fallback.model = "";
+      const next = createSelect(fallbackModelOptions(fallback.provider), "");
+      next.addEventListener("change", () => (fallback.model = next.value));
+      modelSelect.replaceWith(next);
+      modelSelect = next;
+    });
+    modelSelect.addEventListener("change", () => (fallback.model = modelSelect.value));
+
+    const upBtn = document.createElement("button");
+    upBtn.type = "button";
+    upBtn.className = "btn btn-secondary btn-sm";
+    upBtn.textContent = "\u2191";
+    upBtn.title = "Try earlier";
+    upBtn.disabled = index === 0;
+    upBtn.addEventListener("click", () => {
+      fallbacks.splice(index - 1, 0, ...fallbacks.splice(index, 1));
+      renderFallbacks();
+    });
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "btn btn-secondary btn-sm";
+    removeBtn.textContent = "Remove";
+    removeBtn.addEventListener("click", () => {
+      fallbacks.splice(index, 1);
+      renderFallbacks();
+    });
+
+    row.append(providerSelect, modelSelect, upBtn, removeBtn);
+    fallbackList.appendChild(row);
+  });
+}
+
+document.getElementById("btn-add-fallback").addEventListener("click", () => {
+  const used = new Set([activeProvider, ...fallbacks.map((f) => f.provider)]);
+  const provider = Object.keys(PROVIDERS).find((id) => !used.has(id)) || "local";
+  fallbacks.push({ provider, model: "" });
+  renderFallbacks();
+});
+
+// --- Prompt ---
+
+function showPromptOverride(visible) {
+  promptOverrideInput.classList.toggle("hidden", !visible);
+  btnResetPrompt.classList.toggle("hidden", !visible);
+  btnEditPrompt.classList.toggle("hidden", visible);
+}
+
+// Start the override from the default prompt for the current settings
+btnEditPrompt.addEventListener("click", async () => {
+  const response = await browser.runtime.sendMessage({
+    action: "getDefaultPrompt",
+    options: {
+      minGroups: parseInt(promptMinInput.value, 10) || undefined,
+      maxGroups: parseInt(promptMaxInput.value, 10) || undefined,
+      namingStyle: promptStyleSelect.value,
+      emoji: promptEmojiCheckbox.checked,
+      language: promptLanguageInput.value.trim(),
+    },
+  });
+  if (!response.ok) {
+    showStatus(response.error, "error");
+    return;
+  }
+  promptOverrideInput.value = response.prompt;
+  showPromptOverride(true);
+  promptOverrideInput.focus();
+});
+
+btnResetPrompt.addEventListener("click", () => {
+  promptOverrideInput.value = "";
+  showPromptOverride(false);
+});
+
+// Granted or dropped right away, as the permission prompt needs the click itself
+bookmarkTargetCheckbox.addEventListener("change", async () => {
+  if (bookmarkTargetCheckbox.checked) {
+    bookmarkTargetCheckbox.checked = await browser.permissions.request({ permissions: ["bookmarks"] });
+  } else {
+    await browser.permissions.remove({ permissions: ["bookmarks"] });
+  }
+});
+
+// Returns an error message for invalid group counts, or null
+function validateGroupCounts(min, max) {
+  if (Number.isNaN(min) || Number.isNaN(max) || min < 1 || max > 20) {
+    return "Group counts must be whole numbers from 1 to 20.";
+  }
+  if (min > max) return "The minimum number of groups can't be larger than the maximum.";
+  return null;
+}
+
+// --- Privacy ---
+
+// One hostname per line, optionally starting with "*."; returns null if a line isn't one
+function parseDomainLines(text) {
+  const domains = [];
+  for (const line of text.split("\n")) {
+    const domain = line.trim().toLowerCase();
+    if (!domain) continue;
+    if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain)) return null;
+    domains.push(domain);
+  }
+  return domains;
+}
+
+// --- Usage ---
+
+function formatCost(cost) {
+  if (cost === null) return "\u2014";
+  return cost > 0 && cost < 0.01 ? "<$0.01" : `$${cost.toFixed(2)}`;
+}
+
+async function renderUsage() {
+  const usage = await browser.runtime.sendMessage({ action: "getUsage" });
+  if (!usage.ok) return;
+  defaultPrices = usage.defaultPrices;
+
+  const summary = document.getElementById("usage-summary");
+  const { month } = usage;
+  if (month.runs === 0) {
+    summary.textContent = "No requests to an AI provider yet this month.";
+  } else {
+    let text = `${month.runs} request${month.runs !== 1 ? "s" : ""}, ` +
+      `${month.input.toLocaleString()} input and ${month.output.toLocaleString()} output tokens, ` +
+      `about ${formatCost(month.cost)}`;
+    if (month.unpriced) text += " (models without a price aren't counted)";
+    if (usage.overBudget) text += `. Over your $${usage.budget} budget.`;
+    summary.textContent = text;
+  }
+  summary.classList.toggle("usage-over-budget", usage.overBudget);
+
+  const table = document.getElementById("usage-table");
+  clearChildren(table);
+  table.classList.toggle("hidden", usage.byModel.length === 0);
+  const header = document.createElement("tr");
+  for (const text of ["Model", "Requests", "Input", "Output", "Cost"]) {
+    const th = document.createElement("th");
+    th.textContent = text;
+    header.appendChild(th);
+  }
+  table.appendChild(header);
+  for (const row of usage.byModel) {
+    const tr = document.createElement("tr");
+    const cells = [
+      `${PROVIDERS[row.provider]?.label || row.provider} \u00B7 ${row.model || "default"}`,
+      row.runs, row.input.toLocaleString(), row.output.toLocaleString(), formatCost(row.cost),
+    ];
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  }
+
+  renderPrices(usage.prices);
+}
+
+// One row per priced model in PROVIDERS
+function renderPrices(prices) {
+  clearChildren(priceTable);
+  for (const config of Object.values(PROVIDERS)) {
+    for (const m of config.models) {
+      if (!defaultPrices[m.value]) continue;
+      const row = document.createElement("div");
+      row.className = "inline-fields";
+      row.dataset.model = m.value;
+
+      const name = document.createElement("span");
+      name.textContent = `${config.label} ${m.label.replace(/ \(.*\)$/, "")}`;
+      row.appendChild(name);
+
+      for (const side of ["input", "output"]) {
+        const input = document.createElement("input");
+        input.type = "number";
+        input.min = "0";
+        input.step = "0.01";
+        input.dataset.side = side;
+        input.title = side === "input" ? "Input tokens" : "Output tokens";
+        input.value = prices[m.value][side];
+        row.appendChild(input);
+        if (side === "input") {
+          const sep = document.createElement("span");
+          sep.className = "inline-sep";
+          sep.textContent = "in /";
+          row.appendChild(sep);
+        }
+      }
+      const sep = document.createElement("span");
+      sep.className = "inline-sep";
+      sep.textContent = "out";
+      row.appendChild(sep);
+      priceTable.appendChild(row);
+    }
+  }
+}
+
+// Only prices that differ from the defaults are stored, so default updates still apply
+function collectModelPrices() {
+  const modelPrices = {};
+  for (const row of priceTable.children) {
+    const [input, output] = [...row.querySelectorAll("input")].map((el) => parseFloat(el.value));
+    if (![input, output].every((n) => Number.isFinite(n) && n >= 0)) return null;
+    const defaults = defaultPrices[row.dataset.model];
+    if (input !== defaults.input || output !== defaults.output) {
+      modelPrices[row.dataset.model] = { input, output };
+    }
+  }
+  return modelPrices;
+}
+
+document.getElementById("btn-reset-usage").addEventListener("click", async () => {
+  if (!confirm("Delete the recorded token usage?")) return;
+  await browser.storage.local.remove("usageHistory");
+  await renderUsage();
+  showStatus("Usage history cleared.", "success");
+});
+
+// --- Key encryption ---
+
+// Encryption itself happens in the background page, which also holds the unlocked keys
+async function renderEncryption() {
+  const status = await browser.runtime.sendMessage({ action: "getKeyStatus" });
+  if (!status.ok) return;
+  const stateEl = document.getElementById("encryption-state");
+  if (!status.encrypted) {
+    stateEl.textContent = "API keys are stored unencrypted in this browser profile. Set a passphrase to encrypt them.";
+  } else if (status.locked) {
+    stateEl.textContent = "API keys are encrypted and locked. Unlock them to analyze tabs or change a key.";
+  } else {
+    stateEl.textContent = "API keys are encrypted and unlocked until the auto-lock timeout.";
+  }
+  passphraseConfirmInput.classList.toggle("hidden", status.encrypted);
+  document.getElementById("btn-encrypt").classList.toggle("hidden", status.encrypted);
+  document.getElementById("btn-unlock").classList.toggle("hidden", !status.locked);
+  document.getElementById("btn-lock").classList.toggle("hidden", !status.encrypted || status.locked);
+  document.getElementById("btn-decrypt").classList.toggle("hidden", !status.encrypted);
+  document.getElementById("auto-lock-field").classList.toggle("hidden", !status.encrypted);
+}
+
+async function sendKeyAction(action, message) {
+  const response = await browser.runtime.sendMessage({ action, passphrase: passphraseInput.value });
+  if (!response.ok) {
+    showStatus(response.error, "error");
+    return;
+  }
+  passphraseInput.value = "";
+  passphraseConfirmInput.value = "";
+  allSavedData = await browser.storage.local.get(SETTINGS_KEYS);
+  renderProviderTabs();
+  renderProviderConfig();
+  await renderEncryption();
+  showStatus(message, "success");
+}
+
+document.getElementById("btn-encrypt").addEventListener("click", () => {
+  if (passphraseInput.value !== passphraseConfirmInput.value) {
+    showStatus("The passphrases don't match.", "error");
+    return;
+  }
+  sendKeyAction("enableKeyEncryption", "API keys encrypted!");
+});
+document.getElementById("btn-unlock").addEventListener("click", () => sendKeyAction("unlockKeys", "Unlocked!"));
+document.getElementById("btn-lock").addEventListener("click", () => sendKeyAction("lockKeys", "Locked!"));
+document.getElementById("btn-decrypt").addEventListener("click", () => sendKeyAction("disableKeyEncryption", "Encryption turned off."));
+
+// --- Import / Export ---
+
+async function exportSettings() {
+  const includeSecrets = document.getElementById("export-secrets").checked;
+  const stored = await browser.storage.local.get(SETTINGS_KEYS);
+  const settings = Object.fromEntries(
+    Object.entries(stored).filter(([key]) => includeSecrets || !SECRET_KEYS.includes(key))
+  );
+  const data = {
+    format: SETTINGS_FILE_FORMAT,
+    version: SETTINGS_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+  };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "hayatab-settings.json";
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function importSettings(file) {
+  const report = document.getElementById("import-report");
+  clearChildren(report);
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    showStatus("The file isn't valid JSON.", "error");
+    return;
+  }
+
+  let imported;
+  try {
+    imported = validateImportedSettings(migrateSettingsFile(data));
+  } catch (err) {
+    showStatus(err.message, "error");
+    return;
+  }
+
+  const current = await browser.storage.local.get(SETTINGS_KEYS);
+
+  // With encryption on, API keys never land in plain storage: a vault in the file replaces
+  // them, otherwise they go into the current vault
+  const plainKeys = {};
+  for (const key of Object.keys(imported.values).filter((k) => VAULT_KEY_NAMES.includes(k))) {
+    plainKeys[key] = imported.values[key];
+    delete imported.values[key];
+  }
+  const droppedKeys = [];
+  if (imported.values.keyVault) {
+    droppedKeys.push(...Object.keys(plainKeys));
+  } else if (current.keyVault && Object.keys(plainKeys).length > 0) {
+    const response = await browser.runtime.sendMessage({ action: "storeEncryptedKeys", keys: plainKeys });
+    if (!response.ok) {
+      showStatus(`${response.error} Nothing was imported.`, "error");
+      return;
+    }
+  } else {
+    Object.assign(imported.values, plainKeys);
+  }
+
+  const changed = Object.keys(imported.values)
+    .filter((key) => JSON.stringify(imported.values[key]) !== JSON.stringify(current[key]));
+  await browser.storage.local.set(imported.values);
+  // Keys stored in plaintext before would otherwise sit next to the imported vault
+  if (imported.values.keyVault) await browser.storage.local.remove([...VAULT_KEY_NAMES, "apiKey"]);
+  // Keys unlocked from the previous vault no longer match the stored one
+  if (changed.includes("keyVault")) await browser.runtime.sendMessage({ action: "lockKeys" });
+  await loadSettings();
+
+  const lines = changed.length > 0 ? [`Changed: ${changed.join(", ")}`] : ["Nothing changed."];
+  if (current.keyVault && !imported.values.keyVault && Object.keys(plainKeys).length > 0) {
+    lines.push(`Encrypted with your passphrase: ${Object.keys(plainKeys).join(", ")}`);
+  }
+  if (droppedKeys.length > 0) {
+    lines.push(`Ignored unencrypted keys, the file's encrypted keys are used: ${droppedKeys.join(", ")}`);
+  }
+  if (imported.ignored.length > 0) lines.push(`Ignored unknown fields: ${imported.ignored.join(", ")}`);
+  if (changed.includes("compatUrl")) {
+    lines.push("Open the Custom provider and press Save to allow access to the imported server URL.");
+  }
+  for (const line of lines) {
+    const li = document.createElement("li");
+    li.textContent = line;
+    report.appendChild(li);
+  }
+  showStatus("Settings imported!", "success");
 }
 
+// Version 0 files are a plain copy of storage, possibly with the legacy shared `apiKey` and `model`
+function migrateSettingsFile(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("This isn't a Hayatab settings file.");
+  if (data.format === undefined && data.version === undefined) {
+    data = { format: SETTINGS_FILE_FORMAT, version: 0, settings: data };
+  }
+  if (data.format !== SETTINGS_FILE_FORMAT || !data.settings || typeof data.settings !== "object") {
+    throw new Error("This isn't a Hayatab settings file.");
+  }
+  if (!Number.isInteger(data.version) || data.version > SETTINGS_FILE_VERSION) {
+    throw new Error("This file comes from a newer version of Hayatab. Update the extension first.");
+  }
+
+  const settings = { ...data.settings };
+  if (data.version < 1) {
+    // Same migration as loadSettings: the shared key and model belong to the chosen provider
+    const provider = settings.provider || "claude";
+    const config = PROVIDERS[provider];
+    if (settings.apiKey && config?.credentialType === "apiKey" && !settings[config.storageKey]) {
+      settings[config.storageKey] = settings.apiKey;
+    }
+    if (settings.model && !settings["model_" + provider]) settings["model_" + provider] = settings.model;
+    delete settings.apiKey;
+    delete settings.model;
+  }
+  return settings;
+}
+
+// Known fields with the right type are kept; anything else is reported back
+function validateImportedSettings(settings) {
+  const values = {};
+  const ignored = [];
+  for (const [key, value] of Object.entries(settings)) {
+    const type = Object.keys(SETTING_TYPES).find((t) => SETTING_TYPES[t].includes(key));
+    if (!type) {
+      ignored.push(key);
+      continue;
+    }
+    const actual = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+    if (actual !== type) throw new Error(`Invalid value for "${key}" in the settings file.`);
+    values[key] = value;
+  }
+
+  if (values.provider !== undefined && !PROVIDERS[values.provider]) {
+    throw new Error(`Unknown provider "${values.provider}" in the settings file.`);
+  }
+  if (values.ollamaUrl !== undefined) {
+    let hostname = "";
+    try {
+      hostname = new URL(values.ollamaUrl).hostname;
+    } catch {
+      // Reported below
+    }
+    if (hostname !== "localhost" && hostname !== "127.0.0.1") throw new Error("The imported Ollama URL must be localhost.");
+  }
+  for (const rule of values.groupingRules || []) {
+    if (!RULE_TYPES.some((t) => t.value === rule?.type) || typeof rule.pattern !== "string" ||
+        typeof rule.name !== "string" || !GROUP_COLORS.includes(rule.color)) {
+      throw new Error("The settings file has an invalid grouping rule.");
+    }
+  }
+  if ((values.internalDomains || []).some((d) => typeof d !== "string")) {
+    throw new Error("The settings file has an invalid internal domain.");
+  }
+  for (const [key, allowed] of Object.entries(SETTING_CHOICES)) {
+    if (values[key] !== undefined && !allowed.includes(values[key])) {
+      throw new Error(`Invalid value for "${key}" in the settings file.`);
+    }
+  }
+  for (const fallback of values.fallbackProviders || []) {
+    if (!PROVIDERS[fallback?.provider] || typeof fallback.model !== "string") {
+      throw new Error("The settings file has an invalid fallback provider.");
+    }
+  }
+  for (const price of Object.values(values.modelPrices || {})) {
+    if (!["input", "output"].every((side) => typeof price?.[side] === "number" && price[side] >= 0)) {
+      throw new Error("The settings file has an invalid model price.");
+    }
+  }
+  const vault = values.keyVault;
+  if (vault && (["salt", "iv", "data"].some((field) => typeof vault[field] !== "string") ||
+      typeof vault.iterations !== "number" || !Array.isArray(vault.keys) ||
+      vault.keys.some((k) => typeof k !== "string"))) {
+    throw new Error("The settings file has invalid encrypted keys.");
+  }
+  return { values, ignored };
+}
+
+document.getElementById("btn-export").addEventListener("click", exportSettings);
+document.getElementById("btn-import").addEventListener("click", () => document.getElementById("import-file").click());
+document.getElementById("import-file").addEventListener("change", (e) => {
+  const [file] = e.target.files;
+  e.target.value = "";
+  if (file) importSettings(file);
+});
+
 // --- Load / Save ---
 
 async function loadSettings() {
-  allSavedData = await browser.storage.local.get([
-    "provider", "cooldown",
-    "model_claude", "model_openai", "model_gemini", "model_ollama",
-    ...ALL_KEY_FIELDS,
-  ]);
+  allSavedData = await browser.storage.local.get(SETTINGS_KEYS);
+  ({ modelCache = {} } = await browser.storage.local.get("modelCache"));
   savedProvider = allSavedData.provider || "claude";
   activeProvider = savedProvider;
   cooldownSelect.value = String(allSavedData.cooldown || 10000);
+  staleTabDaysSelect.value = String(allSavedData.staleTabDays ?? 7);
+  rules = (allSavedData.groupingRules || []).map((r) => ({ ...r }));
+  fallbacks = (allSavedData.fallbackProviders || [])
+    .filter((f) => PROVIDERS[f.provider])
+    .map((f) => ({ provider: f.provider, model: f.model || "" }));
+  autoAssignCheckbox.checked = !!allSavedData.autoAssign;
+  autoAssignMethodSelect.value = allSavedData.autoAssignMethod || "rules";
+  autoOrganizeIntervalSelect.value = String(allSavedData.autoOrganizeInterval || 0);
+  autoOrganizeThresholdInput.value = allSavedData.autoOrganizeThreshold || "";
+  autoOrganizeActionSelect.value = allSavedData.autoOrganizeAction || "review";
+  promptMinInput.value = allSavedData.promptMinGroups || "";
+  promptMaxInput.value = allSavedData.promptMaxGroups || "";
+  promptStyleSelect.value = allSavedData.promptNamingStyle || "short";
+  promptEmojiCheckbox.checked = !!allSavedData.promptEmoji;
+  promptLanguageInput.value = allSavedData.promptLanguage || "";
+  promptExtraInput.value = allSavedData.promptExtra || "";
+  promptOverrideInput.value = allSavedData.promptOverride || "";
+  showPromptOverride(!!allSavedData.promptOverride);
+  urlRedactionSelect.value = allSavedData.urlRedaction || "full";
+  internalDomainsInput.value = (allSavedData.internalDomains || []).join("\n");
+  internalDomainActionSelect.value = allSavedData.internalDomainAction || "hash";
+  autoLockSelect.value = String(allSavedData.autoLockMinutes ?? 15);
+  monthlyBudgetInput.value = allSavedData.monthlyBudget || "";
+  bookmarkTargetCheckbox.checked = await browser.permissions.contains({ permissions: ["bookmarks"] });
 
   // Migration: move old shared `apiKey` to the active provider's key
   const oldData = await browser.storage.local.get(["apiKey", "model"]);
@@ -300,15 +1186,83 @@ async function loadSettings() {
 
   renderProviderTabs();
   renderProviderConfig();
+  renderRules();
+  renderFallbacks();
+  await renderEncryption();
+  await renderUsage();
 }
 
 btnSave.addEventListener("click", async () => {
   const config = PROVIDERS[activeProvider];
+  const ruleError = validateRules();
+  if (ruleError) {
+    showStatus(ruleError, "error");
+    return;
+  }
+
+  const threshold = parseInt(autoOrganizeThresholdInput.value || "0", 10);
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    showStatus("The ungrouped tab threshold must be a whole number.", "error");
+    return;
+  }
+
+  const minGroups = parseInt(promptMinInput.value || "2", 10);
+  const maxGroups = parseInt(promptMaxInput.value || "8", 10);
+  const countError = validateGroupCounts(minGroups, maxGroups);
+  if (countError) {
+    showStatus(countError, "error");
+    return;
+  }
+
+  const internalDomains = parseDomainLines(internalDomainsInput.value);
+  if (!internalDomains) {
+    showStatus("Internal domains must be hostnames like corp.example.com, one per line.", "error");
+    return;
+  }
+
+  const monthlyBudget = parseFloat(monthlyBudgetInput.value || "0");
+  if (!Number.isFinite(monthlyBudget) || monthlyBudget < 0) {
+    showStatus("The monthly budget can't be negative.", "error");
+    return;
+  }
+
+  const modelPrices = collectModelPrices();
+  if (!modelPrices) {
+    showStatus("Prices must be numbers of 0 or more.", "error");
+    return;
+  }
+
   const toSave = {
     provider: activeProvider,
     cooldown: parseInt(cooldownSelect.value, 10),
+    staleTabDays: parseInt(staleTabDaysSelect.value, 10),
+    groupingRules: rules.map(({ type, pattern, name, color }) => ({ type, pattern, name, color })),
+    fallbackProviders: fallbacks.map(({ provider, model }) => ({ provider, model })),
+    autoAssign: autoAssignCheckbox.checked,
+    autoAssignMethod: autoAssignMethodSelect.value,
+    autoOrganizeInterval: parseInt(autoOrganizeIntervalSelect.value, 10),
+    autoOrganizeThreshold: threshold,
+    autoOrganizeAction: autoOrganizeActionSelect.value,
+    promptMinGroups: minGroups,
+    promptMaxGroups: maxGroups,
+    promptNamingStyle: promptStyleSelect.value,
+    promptEmoji: promptEmojiCheckbox.checked,
+    promptLanguage: promptLanguageInput.value.trim(),
+    promptExtra: promptExtraInput.value.trim(),
+    promptOverride: promptOverrideInput.value.trim(),
+    urlRedaction: urlRedactionSelect.value,
+    internalDomains,
+    internalDomainAction: internalDomainActionSelect.value,
+    autoLockMinutes: parseInt(autoLockSelect.value, 10),
+    monthlyBudget,
+    modelPrices,
   };
 
+  const timeoutSelect = document.getElementById("request-timeout");
+  if (timeoutSelect) toSave["timeout_" + activeProvider] = parseInt(timeoutSelect.value, 10);
+
+  const newKeys = {};
+
   // Resolve model
   const modelSelect = document.getElementById("model");
   let model = modelSelect.value;
@@ -328,10 +1282,52 @@ btnSave.addEventListener("click", async () => {
     const keyInput = document.getElementById("api-key");
     const value = keyInput?.value?.trim();
     if (value) {
-      toSave[config.storageKey] = value;
+      newKeys[config.storageKey] = value;
     }
     // If no input visible (masked display), keep existing key
-  } else {
+  } else if (config.credentialType === "compat") {
+    if (!model.trim()) {
+      showStatus("Enter a model name.", "error");
+      return;
+    }
+    toSave.model_compat = model.trim();
+
+    const urlValue = document.getElementById("compat-url")?.value.trim();
+    if (!urlValue) {
+      showStatus("Enter the server URL.", "error");
+      return;
+    }
+    let parsed;
+    try {
+      parsed = new URL(urlValue);
+    } catch {
+      showStatus("Invalid URL.", "error");
+      return;
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      showStatus("URL must start with http:// or https://.", "error");
+      return;
+    }
+    const headers = parseHeaderLines(document.getElementById("compat-headers").value);
+    if (!headers) {
+      showStatus("Write custom headers as \"Name: value\", one per line.", "error");
+      return;
+    }
+
+    // Must be the first await so the request still counts as a user action
+    const granted = await browser.permissions.request({
+      origins: [`${parsed.protocol}//${parsed.hostname}/*`],
+    });
+    if (!granted) {
+      showStatus("Permission to reach the server was denied.", "error");
+      return;
+    }
+
+    toSave.compatUrl = urlValue;
+    toSave.compatHeaders = headers;
+    const keyValue = document.getElementById("api-key")?.value?.trim();
+    if (keyValue) newKeys.apiKey_compat = keyValue;
+  } else if (config.credentialType === "ollama") {
     const urlValue = document.getElementById("ollama-url")?.value.trim();
     if (!urlValue) {
       showStatus("Enter the Ollama URL.", "error");
@@ -350,17 +1346,25 @@ btnSave.addEventListener("click", async () => {
     toSave.ollamaUrl = urlValue;
   }
 
+  // With encryption on, new keys go into the vault instead of plain storage
+  if (allSavedData.keyVault && Object.keys(newKeys).length > 0) {
+    const response = await browser.runtime.sendMessage({ action: "storeEncryptedKeys", keys: newKeys });
+    if (!response.ok) {
+      showStatus(response.error, "error");
+      return;
+    }
+  } else {
+    Object.assign(toSave, newKeys);
+  }
+
   await browser.storage.local.set(toSave);
 
   // Refresh local cache and re-render
   savedProvider = activeProvider;
-  allSavedData = await browser.storage.local.get([
-    "provider", "cooldown",
-    "model_claude", "model_openai", "model_gemini", "model_ollama",
-    ...ALL_KEY_FIELDS,
-  ]);
+  allSavedData = await browser.storage.local.get(SETTINGS_KEYS);
   renderProviderTabs();
   renderProviderConfig();
+  await renderUsage();
   showStatus("Saved!", "success");
 });
 
@@ -5,9 +5,26 @@ const views = {
   results: document.getElementById("view-results"),
   error: document.getElementById("view-error"),
   done: document.getElementById("view-done"),
+  preview: document.getElementById("view-preview"),
+  locked: document.getElementById("view-locked"),
 };
 
 let currentGroups = [];
+let currentCleanup = []; // duplicate and stale tabs; `action` is "close", "discard" or unset
+let currentScope = "window";
+let currentWindowId = null; // window the results were analyzed in
+let closeTimer = null;
+let afterUnlock = null; // action to retry once the API keys are unlocked
+let draggedTab = null; // { groupIndex, tabId } while a tab is being dragged
+let currentUnassigned = []; // tabs opened since the stored analysis
+
+const GROUP_COLORS = ["blue", "cyan", "grey", "green", "orange", "pink", "purple", "red", "yellow"];
+const APPLY_DONE_TEXT = {
+  groups: "Tabs organized!",
+  sort: "Tabs sorted by group!",
+  windows: "Each group now has its own window!",
+  bookmarks: "Groups saved to bookmarks and closed!",
+};
 
 function showView(name) {
   Object.values(views).forEach((v) => v.classList.add("hidden"));
@@ -19,6 +36,28 @@ function showError(message) {
   showView("error");
 }
 
+// Encrypted API keys are locked: ask for the passphrase, then retry
+function showLocked(retry) {
+  afterUnlock = retry;
+  document.getElementById("unlock-error").classList.add("hidden");
+  showView("locked");
+  document.getElementById("unlock-passphrase").focus();
+}
+
+async function unlockKeys() {
+  const input = document.getElementById("unlock-passphrase");
+  const response = await browser.runtime.sendMessage({ action: "unlockKeys", passphrase: input.value });
+  if (!response.ok) {
+    const errorEl = document.getElementById("unlock-error");
+    errorEl.textContent = response.error;
+    errorEl.classList.remove("hidden");
+    return;
+  }
+  input.value = "";
+  if (afterUnlock) afterUnlock();
+  else showView("ready");
+}
+
 function clearChildren(el) {
   while (el.firstChild) el.removeChild(el.firstChild);
 }
@@ -44,7 +83,46 @@ function hideStaleIndicator() {
   document.getElementById("stale-indicator").classList.add("hidden");
 }
 
-const PROVIDER_NAMES = { claude: "Claude", openai: "OpenAI", gemini: "Gemini", ollama: "Ollama" };
+function formatTokens(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
+
+function formatCost(cost) {
+  if (cost === 0) return "$0";
+  return cost < 0.01 ? "<$0.01" : `$${cost.toFixed(2)}`;
+}
+
+// Who answered, and the tokens and estimated cost of the analysis just shown
+function showRunInfo(answeredBy, usage) {
+  const el = document.getElementById("run-usage");
+  el.classList.toggle("hidden", !answeredBy);
+  if (!answeredBy) return;
+  const parts = [];
+  const modelName = formatModelName(answeredBy.model);
+  const providerName = PROVIDER_NAMES[answeredBy.provider] || answeredBy.provider;
+  parts.push(`${answeredBy.fallback ? "Fallback: " : ""}${providerName}${modelName ? ` ${modelName}` : ""}`);
+  if (usage) {
+    const cost = usage.cost === null ? "" : `, ~${formatCost(usage.cost)}`;
+    parts.push(`${formatTokens(usage.input)} in / ${formatTokens(usage.output)} out tokens${cost}`);
+  }
+  el.textContent = parts.join(" \u00B7 ");
+}
+
+async function showMonthUsage() {
+  const usage = await browser.runtime.sendMessage({ action: "getUsage" });
+  if (!usage.ok || (usage.month.runs === 0 && !usage.budget)) return;
+  const el = document.getElementById("month-usage");
+  let text = `This month: ~${formatCost(usage.month.cost)}`;
+  if (usage.budget) text += ` of $${usage.budget} budget`;
+  if (usage.overBudget) text += " \u2014 over budget";
+  el.textContent = text;
+  el.classList.toggle("over-budget", usage.overBudget);
+  el.classList.remove("hidden");
+}
+
+const PROVIDER_NAMES = {
+  claude: "Claude", openai: "OpenAI", gemini: "Gemini", ollama: "Ollama", local: "Local", compat: "OpenAI-compatible",
+};
 
 function formatModelName(model) {
   if (!model) return "";
@@ -59,33 +137,57 @@ function formatModelName(model) {
 
 async function init() {
   const data = await browser.storage.local.get([
-    "provider", "ollamaUrl",
+    "provider", "ollamaUrl", "compatUrl",
     "apiKey_claude", "apiKey_openai", "apiKey_gemini",
     "apiKey", // legacy fallback
-    "model_claude", "model_openai", "model_gemini", "model_ollama",
+    "model_claude", "model_openai", "model_gemini", "model_ollama", "model_local", "model_compat",
     "model", // legacy fallback
+    "incrementalMode", "analysisScope", "keyVault",
   ]);
   const provider = data.provider || "claude";
   const providerKeyMap = { claude: "apiKey_claude", openai: "apiKey_openai", gemini: "apiKey_gemini" };
   const apiKey = data[providerKeyMap[provider]] || data.apiKey || "";
-  const configured = provider === "ollama" ? !!data.ollamaUrl : !!apiKey;
+  const encryptedKey = !!data.keyVault?.keys.includes(providerKeyMap[provider]);
+  const configured = {
+    ollama: !!data.ollamaUrl,
+    compat: !!data.compatUrl,
+    local: true,
+  }[provider] ?? (!!apiKey || encryptedKey);
   if (!configured) {
     showView("noKey");
     return;
   }
 
-  const tabs = await browser.tabs.query({ currentWindow: true });
-  document.getElementById("tab-count").textContent = `${tabs.length} tab${tabs.length !== 1 ? "s" : ""} open`;
+  document.getElementById("scope").value = data.analysisScope === "all" ? "all" : "window";
+  await updateTabCount();
+  await initAutoAssignToggle();
 
   const model = data["model_" + provider] || data.model || "";
   const providerName = PROVIDER_NAMES[provider] || provider;
-  const modelName = formatModelName(model);
+  const modelName = provider === "local" ? "" : formatModelName(model);
   document.getElementById("provider-label").textContent =
     modelName ? `${providerName} \u00B7 ${modelName}` : providerName;
+  document.getElementById("incremental-mode").checked = !!data.incrementalMode;
+  await showMonthUsage();
+
+  // Bookmark folders are offered once the permission has been granted in settings
+  if (!(await browser.permissions.contains({ permissions: ["bookmarks"] }))) {
+    document.querySelector("#apply-target option[value=bookmarks]").remove();
+  }
 
   const pending = await browser.runtime.sendMessage({ action: "getPendingGroups" });
-  if (pending.ok && pending.groups) {
+  // The last apply can still be undone after the done view has closed
+  document.getElementById("btn-undo-ready").classList.toggle("hidden", !pending.canUndo);
+  if (pending.ok && pending.analyzeOnOpen) {
+    // Opened by the review shortcut
+    await analyzeTabs();
+  } else if (pending.ok && pending.groups) {
     currentGroups = pending.groups;
+    currentCleanup = pending.cleanup || [];
+    currentWindowId = pending.windowId;
+    setScope(pending.scope);
+    renderCleanup(currentCleanup);
+    renderUnassigned(pending.unassigned || []);
     renderGroups(currentGroups);
     showStaleIndicator(pending.timestamp);
     showView("results");
@@ -94,21 +196,188 @@ async function init() {
   }
 }
 
+// Per-window toggle, offered once auto-assign is enabled in settings
+async function initAutoAssignToggle() {
+  const { id: windowId } = await browser.windows.getCurrent();
+  const state = await browser.runtime.sendMessage({ action: "getAutoAssign", windowId });
+  if (!state.ok || !state.available) return;
+
+  const checkbox = document.getElementById("auto-assign");
+  checkbox.checked = state.enabled;
+  checkbox.addEventListener("change", () => {
+    browser.runtime.sendMessage({ action: "setAutoAssign", windowId, enabled: checkbox.checked });
+  });
+  document.getElementById("auto-assign-row").classList.remove("hidden");
+}
+
+async function updateTabCount() {
+  const scope = document.getElementById("scope").value;
+  const tabs = scope === "all"
+    ? await browser.tabs.query({ windowType: "normal" })
+    : await browser.tabs.query({ currentWindow: true });
+  const windowCount = new Set(tabs.map((t) => t.windowId)).size;
+  let text = `${tabs.length} tab${tabs.length !== 1 ? "s" : ""} open`;
+  if (scope === "all") text += ` in ${windowCount} window${windowCount !== 1 ? "s" : ""}`;
+  document.getElementById("tab-count").textContent = text;
+}
+
+// Results from several windows can be gathered or grouped in place
+function setScope(scope) {
+  currentScope = scope === "all" ? "all" : "window";
+  updateApplyOptions();
+}
+
+// Gathering only applies when grouping across windows
+function updateApplyOptions() {
+  const target = document.getElementById("apply-target").value;
+  document.getElementById("apply-options").classList.toggle("hidden", currentScope !== "all" || target !== "groups");
+}
+
+// Read-only cards for the groups the model has finished so far, while it is still answering
+function renderStreamedGroups({ tokens, groups }) {
+  const status = document.getElementById("stream-status");
+  status.textContent = `~${formatTokens(tokens)} tokens received`;
+  status.classList.remove("hidden");
+
+  const container = document.getElementById("stream-groups");
+  const shown = container.children.length;
+  clearChildren(container);
+  groups.forEach((group, index) => {
+    const card = document.createElement("div");
+    card.className = `group-card group-color-${group.color}`;
+    card.classList.toggle("seen", index < shown);
+    card.style.setProperty("--i", Math.max(0, index - shown));
+
+    const header = document.createElement("div");
+    header.className = "group-header";
+    const name = document.createElement("span");
+    name.className = "stream-group-name";
+    name.textContent = group.name;
+    const count = document.createElement("span");
+    count.className = "group-count";
+    count.textContent = `${group.tabs.length}`;
+    header.append(name, count);
+
+    const tabList = document.createElement("ul");
+    tabList.className = "tab-list";
+    for (const title of group.tabs) {
+      const li = document.createElement("li");
+      li.className = "tab-item";
+      const span = document.createElement("span");
+      span.className = "tab-title";
+      span.textContent = title;
+      li.appendChild(span);
+      tabList.appendChild(li);
+    }
+
+    card.append(header, tabList);
+    container.appendChild(card);
+  });
+}
+
+// The pending analyzeTabs call then answers with code "cancelled" and returns to the start view
+async function cancelAnalysis() {
+  const message = document.querySelector("#view-loading .message");
+  const previousText = message.textContent;
+  message.textContent = "Cancelling...";
+  try {
+    const response = await browser.runtime.sendMessage({ action: "cancelAnalysis" });
+    if (!response.ok) {
+      showError(response.error);
+      return;
+    }
+    // Nothing was running any more: the analysis is about to answer with its results
+    if (!response.cancelled) message.textContent = previousText;
+  } catch (err) {
+    showError(err.message || "Failed to cancel the analysis.");
+  }
+}
+
+function clearStreamedGroups() {
+  clearChildren(document.getElementById("stream-groups"));
+  document.getElementById("stream-status").classList.add("hidden");
+}
+
 async function analyzeTabs() {
   showView("loading");
   document.querySelector("#view-loading .message").textContent = "Analyzing your tabs...";
+  document.getElementById("btn-cancel").classList.remove("hidden");
   try {
-    const response = await browser.runtime.sendMessage({ action: "analyzeTabs" });
+    const response = await browser.runtime.sendMessage({
+      action: "analyzeTabs",
+      incremental: document.getElementById("incremental-mode").checked,
+      scope: document.getElementById("scope").value,
+    });
+    if (!response.ok && response.code === "locked") {
+      showLocked(analyzeTabs);
+      return;
+    }
+    if (!response.ok && response.code === "cancelled") {
+      showView("ready");
+      return;
+    }
     if (!response.ok) {
       showError(response.error);
       return;
     }
     currentGroups = response.groups;
+    currentCleanup = response.cleanup || [];
+    currentWindowId = response.windowId;
+    setScope(response.scope);
+    renderCleanup(currentCleanup);
+    renderUnassigned([]);
+    document.getElementById("groups-list").classList.remove("edited");
     renderGroups(currentGroups);
     hideStaleIndicator();
+    showRunInfo(response.answeredBy, response.usage);
     showView("results");
   } catch (err) {
     showError(err.message || "Something went wrong.");
+  } finally {
+    // The loading view is reused for applying and undoing
+    clearStreamedGroups();
+    document.getElementById("btn-cancel").classList.add("hidden");
+  }
+}
+
+// Shows the request bodies without sending anything; "Send" runs the real analysis
+async function previewPayload() {
+  showView("loading");
+  document.querySelector("#view-loading .message").textContent = "Preparing preview...";
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: "previewPayload",
+      incremental: document.getElementById("incremental-mode").checked,
+      scope: document.getElementById("scope").value,
+    });
+    if (!response.ok && response.code === "locked") {
+      showLocked(previewPayload);
+      return;
+    }
+    if (!response.ok) {
+      showError(response.error);
+      return;
+    }
+
+    const { provider, requests, excludedCount } = response;
+    const summary = [];
+    if (provider === "local") {
+      summary.push("The Local provider works offline. Nothing is sent.");
+    } else if (requests.length === 0) {
+      summary.push("Every tab is handled by your rules. Nothing is sent.");
+    } else {
+      summary.push(`${requests.length} request${requests.length !== 1 ? "s" : ""} to ${PROVIDER_NAMES[provider] || provider}.`);
+      if (requests.length > 1) summary.push("Later batches also list the group names found so far.");
+    }
+    if (excludedCount > 0) summary.push(`${excludedCount} tab${excludedCount !== 1 ? "s" : ""} left out by your privacy settings.`);
+    document.getElementById("preview-summary").textContent = summary.join(" ");
+    document.getElementById("preview-payload").textContent = requests
+      .map((r) => `POST ${r.url}\n${JSON.stringify(r.body, null, 2)}`)
+      .join("\n\n");
+    document.getElementById("preview-payload").classList.toggle("hidden", requests.length === 0);
+    showView("preview");
+  } catch (err) {
+    showError(err.message || "Something went wrong.");
   }
 }
 
@@ -117,13 +386,50 @@ function renderGroups(groups) {
   clearChildren(container);
 
   groups.forEach((group, groupIndex) => {
+    // Tabs are added to a group that already exists in the window, so its name and color stay
+    const existing = group.existingGroupId != null;
+
     const card = document.createElement("div");
     card.className = `group-card group-color-${group.color}`;
     card.style.setProperty('--i', groupIndex);
 
+    // Tabs can be dropped anywhere on a card
+    card.addEventListener("dragover", (e) => {
+      if (!draggedTab || draggedTab.groupIndex === groupIndex) return;
+      e.preventDefault();
+      card.classList.add("drop-target");
+    });
+    card.addEventListener("dragleave", (e) => {
+      if (!card.contains(e.relatedTarget)) card.classList.remove("drop-target");
+    });
+    card.addEventListener("drop", (e) => {
+      e.preventDefault();
+      if (draggedTab) moveTab(draggedTab, groupIndex);
+    });
+
     const header = document.createElement("div");
     header.className = "group-header";
 
+    const palette = document.createElement("div");
+    palette.className = "color-palette hidden";
+    GROUP_COLORS.forEach((color) => {
+      const swatch = document.createElement("button");
+      swatch.className = `color-swatch swatch-${color}`;
+      swatch.title = color;
+      swatch.classList.toggle("selected", color === group.color);
+      swatch.addEventListener("click", () => {
+        group.color = color;
+        updateGroups();
+      });
+      palette.appendChild(swatch);
+    });
+
+    const colorBtn = document.createElement("button");
+    colorBtn.className = `color-swatch swatch-${group.color}`;
+    colorBtn.title = existing ? "Existing group" : "Change color";
+    colorBtn.disabled = existing;
+    colorBtn.addEventListener("click", () => palette.classList.toggle("hidden"));
+
     const nameInput = document.createElement("input");
     nameInput.type = "text";
     nameInput.className = "group-name-input";
@@ -137,9 +443,40 @@ function renderGroups(groups) {
     count.className = "group-count";
     count.textContent = `${group.tabIds.length}`;
 
-    header.appendChild(nameInput);
-    header.appendChild(count);
+    if (existing) {
+      nameInput.readOnly = true;
+      nameInput.title = "Existing group";
+      count.textContent = `+${group.tabIds.length}`;
+    }
+
+    header.append(colorBtn, nameInput, count);
+
+    if (groups.length > 1) {
+      const mergeSelect = document.createElement("select");
+      mergeSelect.className = "group-merge-select";
+      mergeSelect.title = "Merge into another group";
+      mergeSelect.appendChild(new Option("Merge", ""));
+      groups.forEach((other, otherIndex) => {
+        if (otherIndex !== groupIndex) mergeSelect.appendChild(new Option(other.name || "Untitled", otherIndex));
+      });
+      mergeSelect.addEventListener("change", () => {
+        if (mergeSelect.value !== "") mergeGroups(groupIndex, Number(mergeSelect.value));
+      });
+      header.appendChild(mergeSelect);
+    }
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "btn-remove-group";
+    deleteBtn.title = "Remove group (its tabs stay ungrouped)";
+    deleteBtn.textContent = "\u00D7";
+    deleteBtn.addEventListener("click", () => {
+      currentGroups.splice(groupIndex, 1);
+      updateGroups();
+    });
+    header.appendChild(deleteBtn);
+
     card.appendChild(header);
+    card.appendChild(palette);
 
     const tabList = document.createElement("ul");
     tabList.className = "tab-list";
@@ -148,7 +485,32 @@ function renderGroups(groups) {
     tabs.forEach((tab) => {
       const li = document.createElement("li");
       li.className = "tab-item";
-      li.title = tab.url || "";
+      li.classList.toggle("excluded", !!tab.excluded);
+      li.title = tab.closed ? "Closed since the analysis" : tab.url || "";
+      li.draggable = !tab.closed;
+      li.addEventListener("dragstart", (e) => {
+        draggedTab = { groupIndex, tabId: tab.id };
+        e.dataTransfer.setData("text/plain", String(tab.id));
+        e.dataTransfer.effectAllowed = "move";
+      });
+      li.addEventListener("dragend", () => {
+        draggedTab = null;
+      });
+
+      // Unticked tabs stay where they are when the groups are applied
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "tab-include";
+      checkbox.checked = !tab.excluded;
+      checkbox.disabled = !!tab.closed;
+      checkbox.title = "Include in this group";
+      checkbox.addEventListener("change", () => {
+        tab.excluded = !checkbox.checked;
+        syncTabIds(group);
+        li.classList.toggle("excluded", tab.excluded);
+        count.textContent = `${existing ? "+" : ""}${group.tabIds.length}`;
+      });
+      li.appendChild(checkbox);
 
       if (tab.favIconUrl) {
         const icon = document.createElement("img");
@@ -168,33 +530,251 @@ function renderGroups(groups) {
       tabList.appendChild(li);
     });
 
+    if (tabs.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "tab-item empty-hint";
+      empty.textContent = "Drag tabs here";
+      tabList.appendChild(empty);
+    }
+
     card.appendChild(tabList);
     container.appendChild(card);
   });
 }
 
+// --- Cleanup ---
+
+const CLEANUP_REASONS = {
+  duplicate: () => "Duplicate",
+  "near-duplicate": () => "Similar URL",
+  stale: (item) => `Unused ${item.days}d`,
+};
+
+function renderCleanup(items) {
+  const list = document.getElementById("cleanup-list");
+  clearChildren(list);
+  document.getElementById("cleanup-section").classList.toggle("hidden", items.length === 0);
+
+  items.forEach((item) => {
+    const li = document.createElement("li");
+    li.className = "tab-item cleanup-item";
+    li.title = item.url || "";
+
+    if (item.favIconUrl) {
+      const icon = document.createElement("img");
+      icon.className = "tab-favicon";
+      icon.src = item.favIconUrl;
+      icon.width = 14;
+      icon.height = 14;
+      icon.onerror = () => icon.remove();
+      li.appendChild(icon);
+    }
+
+    const title = document.createElement("span");
+    title.className = "tab-title";
+    title.textContent = item.title || "Untitled";
+
+    const reason = document.createElement("span");
+    reason.className = "cleanup-reason";
+    reason.textContent = CLEANUP_REASONS[item.reason]?.(item) || "";
+
+    li.append(title, reason);
+
+    // Close and discard are alternatives, so ticking one clears the other
+    const checkboxes = ["close", "discard"].map((action) => {
+      const label = document.createElement("label");
+      label.className = "cleanup-action";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = item.action === action;
+      checkbox.disabled = action === "discard" && item.discarded;
+      checkbox.addEventListener("change", () => {
+        item.action = checkbox.checked ? action : undefined;
+        checkboxes.forEach((other) => {
+          if (other !== checkbox) other.checked = false;
+        });
+      });
+      label.append(checkbox, action === "close" ? "Close" : "Discard");
+      li.appendChild(label);
+      return checkbox;
+    });
+
+    list.appendChild(li);
+  });
+}
+
+// Tabs opened after the stored analysis; they stay where they are unless classified
+function renderUnassigned(tabs) {
+  currentUnassigned = tabs;
+  const list = document.getElementById("unassigned-list");
+  clearChildren(list);
+  document.getElementById("unassigned-section").classList.toggle("hidden", tabs.length === 0);
+
+  for (const tab of tabs) {
+    const li = document.createElement("li");
+    li.className = "tab-item";
+    li.title = tab.url || "";
+    if (tab.favIconUrl) {
+      const icon = document.createElement("img");
+      icon.className = "tab-favicon";
+      icon.src = tab.favIconUrl;
+      icon.width = 14;
+      icon.height = 14;
+      icon.onerror = () => icon.remove();
+      li.appendChild(icon);
+    }
+    const title = document.createElement("span");
+    title.className = "tab-title";
+    title.textContent = tab.title || "Untitled";
+    li.appendChild(title);
+    list.appendChild(li);
+  }
+}
+
+async function classifyNewTabs() {
+  showView("loading");
+  document.querySelector("#view-loading .message").textContent = "Sorting new tabs...";
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: "classifyNewTabs",
+      tabIds: currentUnassigned.map((t) => t.id),
+      groups: currentGroups,
+    });
+    if (!response.ok && response.code === "locked") {
+      showLocked(classifyNewTabs);
+      return;
+    }
+    if (!response.ok) {
+      showError(response.error);
+      return;
+    }
+    currentGroups = response.groups;
+    renderUnassigned([]);
+    renderGroups(currentGroups);
+    showView("results");
+  } catch (err) {
+    showError(err.message || "Something went wrong.");
+  }
+}
+
+// --- Editing ---
+
+// Re-render after an edit, without replaying the cards' entry animation
+function updateGroups() {
+  document.getElementById("groups-list").classList.add("edited");
+  renderGroups(currentGroups);
+}
+
+// tabIds is what gets applied: the group's tabs minus the unticked ones, in display order
+function syncTabIds(group) {
+  group.tabIds = (group.tabs || []).filter((t) => !t.excluded).map((t) => t.id);
+}
+
+function moveTab({ groupIndex: fromIndex, tabId }, toIndex) {
+  draggedTab = null;
+  const source = currentGroups[fromIndex];
+  const target = currentGroups[toIndex];
+  const tab = source?.tabs.find((t) => t.id === tabId);
+  if (!tab || !target || source === target) return;
+
+  source.tabs = source.tabs.filter((t) => t.id !== tabId);
+  target.tabs = [...(target.tabs || []), tab];
+  syncTabIds(source);
+  syncTabIds(target);
+  updateGroups();
+}
+
+// The target keeps its name and color
+function mergeGroups(fromIndex, toIndex) {
+  const source = currentGroups[fromIndex];
+  const target = currentGroups[toIndex];
+  target.tabs = [...(target.tabs || []), ...(source.tabs || [])];
+  syncTabIds(target);
+  currentGroups.splice(fromIndex, 1);
+  updateGroups();
+}
+
+function addGroup() {
+  const usedColors = new Set(currentGroups.map((g) => g.color));
+  const color = GROUP_COLORS.find((c) => !usedColors.has(c)) || "grey";
+  currentGroups.push({ name: "New Group", color, tabIds: [], tabs: [] });
+  updateGroups();
+  const inputs = document.querySelectorAll("#groups-list .group-name-input");
+  inputs[inputs.length - 1]?.select();
+}
+
 async function applyGroups() {
+  // Empty groups (all tabs moved out or unticked) are dropped
+  const groups = currentGroups.filter((g) => g.tabIds.length > 0);
+  const cleanup = currentCleanup.filter((c) => c.action).map(({ id, action }) => ({ id, action }));
+  if (groups.length === 0 && cleanup.length === 0) {
+    showError("No tabs are left to group.");
+    return;
+  }
+
+  const target = document.getElementById("apply-target").value;
   showView("loading");
   document.querySelector("#view-loading .message").textContent = "Applying groups...";
   try {
     const response = await browser.runtime.sendMessage({
       action: "applyGroups",
-      groups: currentGroups,
+      groups,
+      scope: currentScope,
+      windowId: currentWindowId,
+      target,
+      gather: currentScope === "all" && document.getElementById("apply-mode").value === "gather",
+      cleanup,
     });
     if (!response.ok) {
       showError(response.error);
       return;
     }
-    if (response.sortedOnly) {
-      document.querySelector("#view-done .done-text").textContent = "Tabs sorted by group!";
-    }
+    const doneText = [response.sortedOnly ? APPLY_DONE_TEXT.sort : APPLY_DONE_TEXT[response.target]];
+    if (response.closed > 0) doneText.push(`Closed ${response.closed} tab${response.closed !== 1 ? "s" : ""}.`);
+    if (response.discarded > 0) doneText.push(`Unloaded ${response.discarded} tab${response.discarded !== 1 ? "s" : ""}.`);
+    document.querySelector("#view-done .done-text").textContent = doneText.join(" ");
+    // Leave time to reach the Undo button before closing
+    document.getElementById("btn-undo").classList.toggle("hidden", !response.canUndo);
     showView("done");
-    setTimeout(() => window.close(), 1200);
+    closeTimer = setTimeout(() => window.close(), response.canUndo ? 5000 : 1200);
   } catch (err) {
     showError(err.message || "Failed to apply groups.");
   }
 }
 
+async function undoApply() {
+  clearTimeout(closeTimer);
+  showView("loading");
+  document.querySelector("#view-loading .message").textContent = "Restoring previous layout...";
+  try {
+    const response = await browser.runtime.sendMessage({ action: "undoApply" });
+    if (!response.ok) {
+      showError(response.error);
+      return;
+    }
+    document.querySelector("#view-done .done-text").textContent = "Layout restored!";
+    document.getElementById("btn-undo").classList.add("hidden");
+    document.getElementById("btn-undo-ready").classList.add("hidden");
+    showView("done");
+    closeTimer = setTimeout(() => window.close(), 1200);
+  } catch (err) {
+    showError(err.message || "Failed to undo.");
+  }
+}
+
+// Progress from the background while a large window is analyzed in batches
+browser.runtime.onMessage.addListener((message) => {
+  if (message.action === "analysisProgress" && !views.loading.classList.contains("hidden")) {
+    if (message.streamed) {
+      renderStreamedGroups(message.streamed);
+      return;
+    }
+    document.querySelector("#view-loading .message").textContent = message.provider
+      ? `Retrying with ${PROVIDER_NAMES[message.provider] || message.provider} (attempt ${message.attempt})...`
+      : `Analyzing batch ${message.batch} of ${message.batches}...`;
+  }
+});
+
 // Event listeners
 document.getElementById("btn-open-options").addEventListener("click", () => {
   browser.runtime.openOptionsPage();
@@ -205,9 +785,34 @@ document.getElementById("btn-settings").addEventListener("click", () => {
   window.close();
 });
 
+document.getElementById("btn-workspaces").addEventListener("click", () => {
+  browser.tabs.create({ url: browser.runtime.getURL("workspaces/workspaces.html") });
+  window.close();
+});
+
 document.getElementById("btn-analyze").addEventListener("click", analyzeTabs);
 document.getElementById("btn-reanalyze").addEventListener("click", analyzeTabs);
+document.getElementById("btn-preview").addEventListener("click", previewPayload);
+document.getElementById("btn-preview-send").addEventListener("click", analyzeTabs);
+document.getElementById("btn-preview-back").addEventListener("click", () => showView("ready"));
 document.getElementById("btn-apply").addEventListener("click", applyGroups);
+document.getElementById("apply-target").addEventListener("change", updateApplyOptions);
+document.getElementById("btn-cancel").addEventListener("click", cancelAnalysis);
+document.getElementById("btn-new-group").addEventListener("click", addGroup);
+document.getElementById("btn-classify-new").addEventListener("click", classifyNewTabs);
+document.getElementById("btn-undo").addEventListener("click", undoApply);
+document.getElementById("btn-undo-ready").addEventListener("click", undoApply);
 document.getElementById("btn-retry").addEventListener("click", () => showView("ready"));
+document.getElementById("btn-unlock").addEventListener("click", unlockKeys);
+document.getElementById("unlock-passphrase").addEventListener("keydown", (e) => {
+  if (e.key === "Enter") unlockKeys();
+});
+document.getElementById("scope").addEventListener("change", (e) => {
+  browser.storage.local.set({ analysisScope: e.target.value });
+  updateTabCount();
+});
+document.getElementById("incremental-mode").addEventListener("change", (e) => {
+  browser.storage.local.set({ incrementalMode: e.target.checked });
+});
 
 init();
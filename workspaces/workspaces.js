@@ -0,0 +1,111 @@
+const nameInput = document.getElementById("workspace-name");
+const btnSave = document.getElementById("btn-save-workspace");
+const listEl = document.getElementById("workspace-list");
+const emptyEl = document.getElementById("workspace-empty");
+const statusEl = document.getElementById("status");
+
+function showStatus(msg, type) {
+  statusEl.textContent = msg;
+  statusEl.className = `status ${type}`;
+  if (type === "success") setTimeout(() => (statusEl.textContent = ""), 2000);
+}
+
+function clearChildren(el) {
+  while (el.firstChild) el.removeChild(el.firstChild);
+}
+
+function createButton(label, className, onClick) {
+  const btn = document.createElement("button");
+  btn.className = `btn ${className} btn-sm`;
+  btn.textContent = label;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+async function renderWorkspaces() {
+  const { workspaces = [] } = await browser.storage.local.get("workspaces");
+  clearChildren(listEl);
+  emptyEl.classList.toggle("hidden", workspaces.length > 0);
+  document.getElementById("btn-export-all").disabled = workspaces.length === 0;
+
+  // Newest first
+  [...workspaces].reverse().forEach((workspace) => {
+    const row = document.createElement("div");
+    row.className = "workspace-row";
+
+    const info = document.createElement("div");
+    info.className = "workspace-info";
+    const name = document.createElement("div");
+    name.className = "workspace-name";
+    name.textContent = workspace.name;
+    const meta = document.createElement("div");
+    meta.className = "workspace-meta";
+    const tabCount = workspace.tabs.length;
+    const groupCount = workspace.groups.length;
+    meta.textContent = `${tabCount} tab${tabCount !== 1 ? "s" : ""} · ` +
+      `${groupCount} group${groupCount !== 1 ? "s" : ""} · ${new Date(workspace.savedAt).toLocaleString()}`;
+    info.append(name, meta);
+
+    row.append(
+      info,
+      createButton("Restore", "btn-primary", () => restoreWorkspace(workspace)),
+      createButton("Export", "btn-secondary", () => downloadWorkspaces([workspace], workspace.name)),
+      createButton("Delete", "btn-secondary", () => deleteWorkspace(workspace)),
+    );
+    listEl.appendChild(row);
+  });
+}
+
+async function saveWorkspace() {
+  const { id: windowId } = await browser.windows.getCurrent();
+  const response = await browser.runtime.sendMessage({ action: "saveWorkspace", name: nameInput.value, windowId });
+  if (!response.ok) {
+    showStatus(response.error, "error");
+    return;
+  }
+  nameInput.value = "";
+  showStatus("Saved!", "success");
+}
+
+async function restoreWorkspace(workspace) {
+  showStatus("Opening tabs...", "");
+  const response = await browser.runtime.sendMessage({ action: "restoreWorkspace", id: workspace.id });
+  if (!response.ok) {
+    showStatus(response.error, "error");
+    return;
+  }
+  const skipped = response.skipped > 0 ? ` (${response.skipped} browser pages skipped)` : "";
+  showStatus(`Restored ${response.opened} tabs${skipped}.`, "success");
+}
+
+async function deleteWorkspace(workspace) {
+  if (!confirm(`Delete the workspace "${workspace.name}"?`)) return;
+  const { workspaces = [] } = await browser.storage.local.get("workspaces");
+  await browser.storage.local.set({ workspaces: workspaces.filter((w) => w.id !== workspace.id) });
+}
+
+function downloadWorkspaces(workspaces, filename) {
+  const data = { format: "hayatab-workspaces", version: 1, workspaces };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${filename.replace(/[^\w -]+/g, "").trim() || "workspace"}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+btnSave.addEventListener("click", saveWorkspace);
+nameInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") saveWorkspace();
+});
+document.getElementById("btn-export-all").addEventListener("click", async () => {
+  const { workspaces = [] } = await browser.storage.local.get("workspaces");
+  downloadWorkspaces(workspaces, "hayatab-workspaces");
+});
+
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.workspaces) renderWorkspaces();
+});
+
+renderWorkspaces();